@@ -0,0 +1,182 @@
+/**
+ * Audit proxy. Holds the model credential server-side and exposes
+ * POST /api/audit to the React app, which never sees the key. With
+ * { stream: true } in the body the reply is an SSE stream (see
+ * src/lib/ai/proxy.js for the events).
+ *
+ * Environment:
+ *   PORT               listen port (3001)
+ *   AI_PROVIDER        gemini | openai | ollama | mock (gemini)
+ *   AI_API_KEY         upstream credential
+ *   AI_MODEL           optional model override
+ *   AI_BASE_URL        optional endpoint override (openai, ollama)
+ *   RATE_LIMIT         audits per client per window (10)
+ *   RATE_WINDOW_MS     rate-limit window (60000)
+ *   MAX_IMAGE_BYTES    decoded size limit per view image (5242880)
+ *   TRUST_PROXY        "1" to key clients by X-Forwarded-For
+ *   CUSTOM_PROFILES    "1" to also accept custom critique profiles; off by
+ *                      default, as their prompts reach the model on this key
+ *
+ * Shares the provider adapters in src/lib/ai, so it needs a Node version
+ * that loads ES module syntax from .js files (20.19+ or 22.12+, pinned by
+ * `engines` in package.json).
+ */
+import http from 'node:http';
+import { createProvider, requestAudit } from '../src/lib/ai/index.js';
+import { createRateLimiter } from './rateLimit.mjs';
+import { pickStats, resolveProfile, validateImages, validateStats, VIEW_IDS } from './validate.mjs';
+
+const env = process.env;
+const PORT = Number(env.PORT) || 3001;
+const MAX_IMAGE_BYTES = Number(env.MAX_IMAGE_BYTES) || 5 * 1024 * 1024;
+// Up to one image per view; base64 inflates by 4/3 and the rest of the
+// body is small JSON.
+const MAX_BODY_BYTES = Math.ceil(MAX_IMAGE_BYTES * VIEW_IDS.length * 4 / 3) + 16 * 1024;
+
+const provider = createProvider({
+  provider: env.AI_PROVIDER || 'gemini',
+  apiKey: env.AI_API_KEY,
+  model: env.AI_MODEL || undefined,
+  baseUrl: env.AI_BASE_URL || undefined
+});
+
+const limiter = createRateLimiter({
+  limit: Number(env.RATE_LIMIT) || 10,
+  windowMs: Number(env.RATE_WINDOW_MS) || 60 * 1000
+});
+setInterval(limiter.sweep, 60 * 1000).unref();
+
+const clientKey = (req) => {
+  const forwarded = env.TRUST_PROXY === '1' && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+};
+
+const send = (res, status, payload, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+};
+
+// An oversized body is rejected but still drained, so the client receives
+// the 413 instead of a reset connection mid-upload.
+const readBody = (req) => new Promise((resolve, reject) => {
+  let chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      if (chunks) reject(Object.assign(new Error('PAYLOAD_TOO_LARGE'), { status: 413 }));
+      chunks = null;
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => chunks && resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const handleAudit = async (req, res) => {
+  const retryAfter = limiter.take(clientKey(req));
+  if (retryAfter) {
+    send(res, 429, { error: 'RATE_LIMITED' }, { 'Retry-After': String(retryAfter) });
+    return;
+  }
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (e) {
+    send(res, e.status || 400, { error: e.status ? e.message : 'INVALID_JSON' });
+    return;
+  }
+  // Valid JSON is not necessarily a request: null, arrays and scalars are refused.
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    send(res, 400, { error: 'INVALID_JSON' });
+    return;
+  }
+
+  const { images, ...imageError } = validateImages(body, MAX_IMAGE_BYTES);
+  const invalid = images ? validateStats(body.stats) : imageError;
+  if (invalid) {
+    send(res, invalid.status, { error: invalid.error });
+    return;
+  }
+  const { profile, ...profileError } = resolveProfile(body.profile, env.CUSTOM_PROFILES === '1');
+  if (!profile) {
+    send(res, profileError.status, { error: profileError.error });
+    return;
+  }
+
+  // A client that disconnects (reset, cancel) abandons the upstream call too.
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  // Streamed audits answer as SSE from the start, so failures arrive as an
+  // { error } event rather than a status code.
+  const event = (payload) => res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  let sent = '';
+  const onText = (text) => {
+    // A repair re-prompt starts a fresh reply.
+    if (!text.startsWith(sent)) {
+      event({ restart: true });
+      sent = '';
+    }
+    event({ text: text.slice(sent.length) });
+    sent = text;
+  };
+  if (body.stream) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache, no-transform', Connection: 'keep-alive' });
+  }
+
+  try {
+    // Retries are left to the client, which sees Retry-After and can cancel.
+    const report = await requestAudit(provider, images, pickStats(body.stats), {
+      profile,
+      signal: controller.signal,
+      retries: 0,
+      onText: body.stream ? onText : undefined
+    });
+    if (body.stream) {
+      event({ report });
+      res.end();
+    } else {
+      send(res, 200, report);
+    }
+  } catch (e) {
+    if (e.code === 'ABORTED') return;
+    console.error(`[audit] upstream failure: ${e.message}`);
+    // The upstream status (401, 400, 429…) travels with the error so the
+    // client can explain it; the proxy's own status stays 502.
+    if (body.stream) {
+      event({ error: 'UPSTREAM_ERROR', status: e.status, retryable: e.retryable, retryAfter: e.retryAfter });
+      res.end();
+      return;
+    }
+    send(
+      res,
+      502,
+      { error: 'UPSTREAM_ERROR', status: e.status, retryable: e.retryable },
+      e.retryAfter ? { 'Retry-After': String(Math.ceil(e.retryAfter / 1000)) } : {}
+    );
+  }
+};
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/api/audit' && req.method === 'POST') {
+    // A bug in the handler fails this request, not the whole proxy.
+    handleAudit(req, res).catch((e) => {
+      console.error(`[audit] handler failure: ${e.stack || e.message}`);
+      if (res.headersSent) res.destroy();
+      else send(res, 500, { error: 'INTERNAL_ERROR' });
+    });
+  } else if (req.url === '/api/audit') {
+    send(res, 405, { error: 'METHOD_NOT_ALLOWED' }, { Allow: 'POST' });
+  } else {
+    send(res, 404, { error: 'NOT_FOUND' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[audit] proxy listening on :${PORT} (${provider.id})`);
+});
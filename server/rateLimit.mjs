@@ -0,0 +1,26 @@
+/**
+ * Fixed-window request counter keyed by client. `take(key)` returns 0 when
+ * the request may proceed, otherwise the seconds until the window resets.
+ */
+export const createRateLimiter = ({ limit, windowMs, now = Date.now }) => {
+  const windows = new Map();
+
+  const take = (key) => {
+    const time = now();
+    let entry = windows.get(key);
+    if (!entry || time >= entry.resetAt) {
+      entry = { count: 0, resetAt: time + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count++;
+    return entry.count > limit ? Math.ceil((entry.resetAt - time) / 1000) : 0;
+  };
+
+  // Expired windows are dropped so idle clients do not accumulate.
+  const sweep = () => {
+    const time = now();
+    windows.forEach((entry, key) => { if (time >= entry.resetAt) windows.delete(key); });
+  };
+
+  return { take, sweep };
+};
@@ -0,0 +1,120 @@
+/**
+ * Request validation for POST /api/audit. Each check returns an error
+ * descriptor ({ status, error }) or null.
+ */
+import { BUILTIN_PROFILES, DEFAULT_PROFILE, pickProfile, validateProfile } from '../src/lib/ai/profiles.js';
+
+// Leading bytes of each accepted image type.
+const SIGNATURES = {
+  'image/png': [[0x89, 0x50, 0x4e, 0x47]],
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/webp': [[0x52, 0x49, 0x46, 0x46]]
+};
+
+export const ACCEPTED_TYPES = Object.keys(SIGNATURES);
+
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+const MAX_LABEL_LENGTH = 40;
+export const VIEW_IDS = ['front', 'side', 'top'];
+
+const matchesSignature = (buffer, mimeType) => SIGNATURES[mimeType].some(
+  signature => signature.every((byte, i) => buffer[i] === byte)
+);
+
+export const validateImage = (image, mimeType, maxBytes) => {
+  if (!ACCEPTED_TYPES.includes(mimeType)) {
+    return { status: 415, error: 'UNSUPPORTED_MEDIA_TYPE' };
+  }
+  if (typeof image !== 'string' || !BASE64.test(image)) {
+    return { status: 400, error: 'INVALID_IMAGE_ENCODING' };
+  }
+  const buffer = Buffer.from(image, 'base64');
+  if (buffer.length > maxBytes) {
+    return { status: 413, error: 'IMAGE_TOO_LARGE' };
+  }
+  if (!matchesSignature(buffer, mimeType)) {
+    return { status: 415, error: 'IMAGE_TYPE_MISMATCH' };
+  }
+  return null;
+};
+
+/**
+ * The views of one audit: `images` as [{ view, image, mimeType }] (one per
+ * distinct view, front first) or a lone `image` with its `mimeType`.
+ * Returns { images } or { status, error }.
+ */
+export const validateImages = (body, maxBytes) => {
+  const images = body.images ?? [{ view: 'front', image: body.image, mimeType: body.mimeType }];
+  if (!Array.isArray(images) || !images.length || images.length > VIEW_IDS.length) {
+    return { status: 400, error: 'INVALID_VIEWS' };
+  }
+  const views = images.map(entry => entry?.view);
+  if (views[0] !== 'front' || !views.every(view => VIEW_IDS.includes(view)) || new Set(views).size !== views.length) {
+    return { status: 400, error: 'INVALID_VIEWS' };
+  }
+  for (const { image, mimeType } of images) {
+    const invalid = validateImage(image, mimeType, maxBytes);
+    if (invalid) return invalid;
+  }
+  return { images: images.map(({ view, image, mimeType }) => ({ view, image, mimeType })) };
+};
+
+const validFace = (face) => face && typeof face === 'object'
+  && typeof face.label === 'string' && face.label.length <= MAX_LABEL_LENGTH
+  && typeof face.targetSymbol === 'string' && face.targetSymbol.length <= MAX_LABEL_LENGTH
+  && ['ratio', 'target', 'score'].every(key => Number.isFinite(face[key]));
+
+export const validateStats = (stats) => {
+  if (!stats || typeof stats !== 'object') {
+    return { status: 400, error: 'MISSING_STATS' };
+  }
+  const numeric = ['ratio', 'target', 'variance', 'score'];
+  if (!numeric.every(key => Number.isFinite(stats[key]))) {
+    return { status: 400, error: 'INVALID_STATS' };
+  }
+  const labels = ['targetLabel', 'targetSymbol'];
+  if (!labels.every(key => typeof stats[key] === 'string' && stats[key].length <= MAX_LABEL_LENGTH)) {
+    return { status: 400, error: 'INVALID_STATS' };
+  }
+  if (stats.faces !== undefined && !(Array.isArray(stats.faces) && stats.faces.length <= VIEW_IDS.length && stats.faces.every(validFace))) {
+    return { status: 400, error: 'INVALID_STATS' };
+  }
+  if (stats.volumetricScore !== undefined && stats.volumetricScore !== null && !Number.isFinite(stats.volumetricScore)) {
+    return { status: 400, error: 'INVALID_STATS' };
+  }
+  return null;
+};
+
+/**
+ * Copies only the fields the prompt uses, so nothing else a client sends
+ * reaches the model.
+ */
+export const pickStats = (stats) => ({
+  ratio: stats.ratio,
+  target: stats.target,
+  variance: stats.variance,
+  score: stats.score,
+  targetLabel: stats.targetLabel,
+  targetSymbol: stats.targetSymbol,
+  ...(stats.faces && {
+    faces: stats.faces.map(({ label, ratio, target, targetSymbol, score }) => ({ label, ratio, target, targetSymbol, score }))
+  }),
+  ...(Number.isFinite(stats.volumetricScore) && { volumetricScore: stats.volumetricScore })
+});
+
+/**
+ * The critique profile for a request: the default when none is sent, a
+ * built-in looked up by id, or (when allowed) a validated custom profile.
+ * Returns { profile } or { status, error }.
+ */
+export const resolveProfile = (profile, allowCustom) => {
+  if (profile === undefined || profile === null) return { profile: DEFAULT_PROFILE };
+  const builtin = BUILTIN_PROFILES.find(p => p.id === profile.id);
+  if (!allowCustom) {
+    return builtin ? { profile: builtin } : { status: 400, error: 'UNKNOWN_PROFILE' };
+  }
+  if (validateProfile(profile).length) {
+    return { status: 400, error: 'INVALID_PROFILE' };
+  }
+  return { profile: pickProfile(profile) };
+};
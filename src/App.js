@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { 
   UploadCloud, 
   Ruler, 
@@ -8,78 +8,77 @@ import {
   ArrowRight,
   RefreshCcw,
   Sparkles,
-  Box,
-  Layers,
   Cpu,
-  Trophy
+  Trophy,
+  Focus,
+  Undo2,
+  History,
+  LayoutGrid,
+  AlertTriangle,
+  RotateCcw,
+  Square,
+  CloudOff,
+  WifiOff
 } from 'lucide-react';
+import { analyzeProportions, RATIO_CATALOGUE, targetCaption } from './lib/proportions';
+import { computeScale, EMPTY_MEASUREMENTS, segmentLength } from './lib/measurement';
+import { convertLength, DEFAULT_UNIT, formatDimensions, parseDimensions } from './lib/units';
+import { analyzeHarmonics } from './lib/harmonics';
+import { loadImageCanvas, prepareImageForAI } from './lib/image';
+import { detectSilhouette } from './lib/segmentation';
+import {
+  BUILTIN_PROFILES, createProvider, DEFAULT_PROFILE, describeAuditError, requestAudit, summarizeProfile
+} from './lib/ai';
+import { loadCustomProfiles, loadSelectedProfileId, saveCustomProfiles, saveSelectedProfileId } from './lib/profileStore';
+import { renderSafely } from './lib/format';
+import { createThumbnail, saveAudit } from './lib/history';
+import { flushCritiqueQueue, isOffline, queueCritique } from './lib/critiqueQueue';
+import { collectDroppedFiles, isImageFile, isManifestFile } from './lib/batch';
+import { collectEdges, findAlignments, GRIDS } from './lib/composition';
+import { ghostBox } from './lib/whatIf';
+import { analyzeVolume, resolveFaces, summarizeVolume } from './lib/volumetric';
+import { buildScanStats, resolveScanDimensions } from './lib/scan';
+import MeasurementLayer from './components/MeasurementLayer';
+import MeasurementPanel from './components/MeasurementPanel';
+import RatioSelector from './components/RatioSelector';
+import RatioSpectrum from './components/RatioSpectrum';
+import HarmonicBreakdown from './components/HarmonicBreakdown';
+import SilhouetteLayer from './components/SilhouetteLayer';
+import PerspectiveEditor from './components/PerspectiveEditor';
+import HistoryView from './components/HistoryView';
+import BatchView from './components/BatchView';
+import ExportMenu from './components/ExportMenu';
+import CompositionOverlay from './components/CompositionOverlay';
+import OverlayControls from './components/OverlayControls';
+import ProfilePanel from './components/ProfilePanel';
+import ReportSections from './components/ReportSections';
+import WhatIfPanel from './components/WhatIfPanel';
+import GhostOutline from './components/GhostOutline';
+import UnitSelector from './components/UnitSelector';
+import ViewSlots from './components/ViewSlots';
+import VolumetricPanel from './components/VolumetricPanel';
 
-/**
- * Constants and Proportional Logic
- */
-const GOLDEN_RATIO = 1.61803398875;
-const apiKey = process.env.REACT_APP_GEMINI_KEY; // The execution environment provides the key at runtime.
-
-/**
- * Utility to compress/resize image before sending to AI
- */
-const prepareImageForAI = (file) => {
-  return new Promise((resolve) => {
-    const reader = new FileReader();
-    reader.readAsDataURL(file);
-    reader.onload = (event) => {
-      const img = new Image();
-      img.src = event.target.result;
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        const MAX_WIDTH = 1024; 
-        const scale = Math.min(1, MAX_WIDTH / img.width);
-        canvas.width = img.width * scale;
-        canvas.height = img.height * scale;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-        // Using PNG for better clarity in geometric analysis if possible, 
-        // falling back to JPEG for speed.
-        const base64 = canvas.toDataURL('image/png').split(',')[1];
-        resolve(base64);
-      };
-    };
-  });
-};
-
-const renderSafely = (val) => {
-  if (val === null || val === undefined) return '';
-  if (typeof val === 'string' || typeof val === 'number') return val;
-  if (typeof val === 'object') {
-    if (val.$$typeof) return ''; 
-    try {
-      return Object.entries(val)
-        .map(([k, v]) => {
-          const key = k.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-          return `${key}: ${typeof v === 'object' ? JSON.stringify(v) : v}`;
-        })
-        .join(' • ');
-    } catch (e) { return JSON.stringify(val); }
+// Providers are created where they are used, so a misconfigured
+// REACT_APP_AI_PROVIDER fails the critique rather than the whole app.
+// Callers that can fall back to local-only get null instead.
+const optionalProvider = () => {
+  try {
+    return createProvider();
+  } catch (e) {
+    return null;
   }
-  return String(val);
 };
 
-const analyzeProportions = (a, b) => {
-  if (!a || !b) return { ratio: 0, variance: 100, score: 0, target: Number(GOLDEN_RATIO.toFixed(3)) };
-  const ratio = Math.max(a, b) / Math.min(a, b);
-  const variance = ((ratio - GOLDEN_RATIO) / GOLDEN_RATIO) * 100;
-  const score = Math.max(0, Math.min(100, Math.round(100 - (Math.abs(variance) * 2))));
-  return {
-    ratio: Number(ratio.toFixed(3)),
-    variance: Number(variance.toFixed(2)),
-    score,
-    target: Number(GOLDEN_RATIO.toFixed(3))
-  };
-};
+// Quiet period before an edited audit is written back to the archive.
+const ARCHIVE_DELAY = 500;
 
 export default function App() {
+  const [view, setView] = useState('audit');
+  const [batchFiles, setBatchFiles] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
   const [file, setFile] = useState(null);
+  const [originalFile, setOriginalFile] = useState(null);
+  const [isRectifying, setIsRectifying] = useState(false);
   const [imageUrl, setImageUrl] = useState(null);
   const [isScanning, setIsScanning] = useState(false);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
@@ -89,129 +88,469 @@ export default function App() {
   
   const [height, setHeight] = useState('');
   const [width, setWidth] = useState('');
-  const [analysis, setAnalysis] = useState(null);
+  const [depth, setDepth] = useState('');
+  const [unit, setUnit] = useState(DEFAULT_UNIT);
+  // A buffer pre-filled from the detected silhouette holds pixels until a
+  // real unit is picked.
+  const [pixelInput, setPixelInput] = useState(false);
+  const inputUnit = pixelInput ? 'px' : unit;
+  const dimensionInput = useMemo(
+    () => parseDimensions({ height, width, depth }, inputUnit),
+    [height, width, depth, inputUnit]
+  );
+  const [scanDimensions, setScanDimensions] = useState(null);
   const [aiReport, setAiReport] = useState(null);
+  // Local-only mode never calls the AI; offline scans queue their critique.
+  const [localOnly, setLocalOnly] = useState(false);
+  const [online, setOnline] = useState(() => !isOffline());
+  const [deferredCritique, setDeferredCritique] = useState(null);
+  // Bumped whenever a critique is queued, to flush it once stored.
+  const [queueVersion, setQueueVersion] = useState(0);
+
+  const [ratioTarget, setRatioTarget] = useState('phi');
+  const [customRatios, setCustomRatios] = useState([]);
+  const ratioOptions = useMemo(
+    () => ({ target: ratioTarget, catalogue: [...RATIO_CATALOGUE, ...customRatios] }),
+    [ratioTarget, customRatios]
+  );
+
+  const [customProfiles, setCustomProfiles] = useState(loadCustomProfiles);
+  const [profileId, setProfileId] = useState(loadSelectedProfileId);
+  const profiles = useMemo(() => [...BUILTIN_PROFILES, ...customProfiles], [customProfiles]);
+  const profile = profiles.find(p => p.id === profileId) || DEFAULT_PROFILE;
+  // The profile a report was requested with; the selector may move on.
+  const [reportProfile, setReportProfile] = useState(DEFAULT_PROFILE);
+
+  useEffect(() => saveCustomProfiles(customProfiles), [customProfiles]);
+  useEffect(() => saveSelectedProfileId(profileId), [profileId]);
+
+  const [imageSize, setImageSize] = useState(null);
+  const [silhouette, setSilhouette] = useState(null);
+  const [imageError, setImageError] = useState(null);
+  const detectionRef = useRef(0);
+  const [measurements, setMeasurements] = useState(EMPTY_MEASUREMENTS);
+  const [measureTool, setMeasureTool] = useState(null);
+  // Optional side and top photos, each { file, url, box } once added.
+  const [views, setViews] = useState({ side: null, top: null });
+
+  const analysis = useMemo(
+    () => (scanDimensions ? analyzeProportions(scanDimensions.height, scanDimensions.width, ratioOptions) : null),
+    [scanDimensions, ratioOptions]
+  );
+
+  // A drawn bounding box supersedes the scan-time dimensions.
+  const measuredAnalysis = useMemo(() => {
+    const { box } = measurements;
+    return box ? analyzeProportions(box.height, box.width, ratioOptions) : null;
+  }, [measurements, ratioOptions]);
+  const activeAnalysis = measuredAnalysis || analysis;
+
+  const [overlays, setOverlays] = useState({ spiral: true, rectangles: true, thirds: false, phi: false });
+  const [spiralFlip, setSpiralFlip] = useState({ horizontal: false, vertical: false });
+
+  // Overlays follow the drawn box, then the detected silhouette, then the frame.
+  const subjectBox = useMemo(() => (
+    measurements.box || silhouette?.box || (imageSize && { x: 0, y: 0, ...imageSize })
+  ), [measurements.box, silhouette, imageSize]);
+
+  // What-if dimensions from the fix panel, ghosted over the subject.
+  const [ghostDimensions, setGhostDimensions] = useState(null);
+
+  const alignments = useMemo(() => {
+    const kinds = Object.keys(GRIDS).filter(kind => overlays[kind]);
+    return subjectBox && kinds.length
+      ? findAlignments(subjectBox, collectEdges(silhouette, measurements.segments), kinds)
+      : [];
+  }, [subjectBox, silhouette, measurements.segments, overlays]);
+
+  const harmonics = useMemo(
+    () => analyzeHarmonics(
+      measurements.segments.map(s => ({ label: s.label, length: segmentLength(s) })),
+      ratioOptions
+    ),
+    [measurements, ratioOptions]
+  );
 
   useEffect(() => {
     return () => { if (imageUrl) URL.revokeObjectURL(imageUrl); };
   }, [imageUrl]);
 
+  // A drawn box is reported in pixels until a reference calibrates it.
+  const auditDimensions = useMemo(() => {
+    const { box } = measurements;
+    if (!box) return { ...scanDimensions, source: 'scan' };
+    const scale = computeScale(measurements.reference, unit);
+    if (!scale) return { height: Math.round(box.height), width: Math.round(box.width), unit: 'px', source: 'measured' };
+    const depthValue = scanDimensions?.depth && scanDimensions.unit !== 'px'
+      ? convertLength(scanDimensions.depth, scanDimensions.unit, unit)
+      : undefined;
+    return { height: box.height * scale, width: box.width * scale, depth: depthValue, unit, source: 'measured' };
+  }, [measurements, scanDimensions, unit]);
+
+  const volume = useMemo(() => (
+    scanDimensions
+      ? analyzeVolume(resolveFaces(auditDimensions, { side: views.side?.box, top: views.top?.box }), ratioOptions)
+      : null
+  ), [scanDimensions, auditDimensions, views, ratioOptions]);
+  const isVolumetric = volume?.faces.length > 1;
+
+  const archiveRef = useRef(null);
+
+  // Every completed audit is archived, with or without its critique; later
+  // edits and the critique's outcome update the same record, debounced so
+  // typing a label does not rewrite it on every keystroke. Saves are chained
+  // so the first insert's id is known before any update runs. A queued
+  // critique is stored once, against that id.
+  useEffect(() => {
+    if (!scanComplete || !activeAnalysis || !file) return;
+    const isNew = !archiveRef.current;
+    if (isNew) {
+      archiveRef.current = {
+        createdAt: Date.now(),
+        chain: createThumbnail(file).then(thumbnail => ({ thumbnail })).catch(() => ({})),
+        queued: false
+      };
+    }
+    const archive = archiveRef.current;
+    const entry = {
+      fileName: file.name,
+      dimensions: auditDimensions,
+      analysis: activeAnalysis,
+      harmonics,
+      aiReport,
+      profile: summarizeProfile(reportProfile),
+      ...(isVolumetric && { volume: summarizeVolume(volume) }),
+      ...(deferredCritique === 'queued' && { critiqueStatus: 'queued' }),
+      ...(!aiReport && errorMessage && { critiqueStatus: 'failed', critiqueError: errorMessage })
+    };
+    const save = () => {
+      archive.chain = archive.chain.then(record => (
+        saveAudit({ ...record, ...entry, createdAt: archive.createdAt })
+          .then(id => ({ ...record, id }))
+          .catch(() => record)
+      ));
+      const pending = deferredCritique === 'queued' && !archive.queued && lastAuditRef.current;
+      if (!pending) return;
+      archive.queued = true;
+      // Once the request is stored it can be sent, even if the connection
+      // came back while it was being written.
+      archive.chain = archive.chain.then(record => (
+        record.id
+          ? queueCritique(record.id, pending.images, pending.stats, pending.auditProfile)
+            .then(() => setQueueVersion(version => version + 1))
+            .catch(() => {})
+            .then(() => record)
+          : record
+      ));
+    };
+    if (isNew) {
+      save();
+      return;
+    }
+    const timer = setTimeout(save, ARCHIVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [scanComplete, aiReport, deferredCritique, errorMessage, activeAnalysis, harmonics, file, auditDimensions, reportProfile, volume, isVolumetric]);
+
+  useEffect(() => {
+    const update = () => setOnline(!isOffline());
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  // Whenever the app is online, and whenever a critique is newly queued,
+  // queued critiques (this session's included) are replayed against their
+  // archived records.
+  useEffect(() => {
+    const provider = optionalProvider();
+    if (!online || !provider) return;
+    const controller = new AbortController();
+    const isCurrent = record => record.createdAt === archiveRef.current?.createdAt;
+    flushCritiqueQueue(provider, {
+      signal: controller.signal,
+      onAnswered: (record) => {
+        if (!isCurrent(record)) return;
+        setAiReport(record.aiReport);
+        setDeferredCritique(null);
+      },
+      onFailed: (record) => {
+        if (!isCurrent(record)) return;
+        setDeferredCritique(null);
+        setErrorMessage(record.critiqueError);
+      }
+    }).catch(() => {});
+    return () => controller.abort();
+  }, [online, queueVersion]);
+
+  // The in-flight critique; aborting it also cancels any pending backoff.
+  const auditRef = useRef(null);
+  const lastAuditRef = useRef(null);
+  const scanRef = useRef(0);
+  const [retryNotice, setRetryNotice] = useState(null);
+  const [partialReport, setPartialReport] = useState(null);
+
+  const cancelAudit = () => {
+    auditRef.current?.abort();
+    auditRef.current = null;
+  };
+
+  useEffect(() => () => auditRef.current?.abort(), []);
+
   const reset = () => {
     if (imageUrl) URL.revokeObjectURL(imageUrl);
+    cancelAudit();
+    scanRef.current++;
+    lastAuditRef.current = null;
+    setRetryNotice(null);
+    setPartialReport(null);
+    setDeferredCritique(null);
+    archiveRef.current = null;
     setFile(null);
+    setOriginalFile(null);
+    setIsRectifying(false);
     setImageUrl(null);
-    setAnalysis(null);
+    setScanDimensions(null);
     setAiReport(null);
     setScanComplete(false);
     setProgress(0);
     setHeight('');
     setWidth('');
+    setDepth('');
+    setPixelInput(false);
+    setImageSize(null);
+    setSilhouette(null);
+    setImageError(null);
+    clearViews();
+    detectionRef.current++;
+    setMeasurements(EMPTY_MEASUREMENTS);
+    setMeasureTool(null);
     setIsScanning(false);
     setIsAnalyzing(false);
     setErrorMessage(null);
   };
 
-  const getAiAnalysisWithRetry = async (base64Image, stats, attempt = 0) => {
+  const runAiAudit = async (images, stats, auditProfile) => {
+    cancelAudit();
+    const controller = new AbortController();
+    auditRef.current = controller;
+    lastAuditRef.current = { images, stats, auditProfile };
+    setReportProfile(auditProfile);
+    setDeferredCritique(null);
     setIsAnalyzing(true);
     setErrorMessage(null);
-    
-    // Explicitly demand sculptural and architectural descriptions in a strictly structured JSON
-    const systemPrompt = "You are an elite furniture design critic. Provide detailed, evocative, and academic audits. Focus on the sculptural silhouette, material presence, and geometric harmonics. Use a professional and sophisticated tone.";
-    const userPrompt = `Conduct a design audit. Observed Ratio: ${stats.ratio} (Phi Target: 1.618). 
-    
-    Structure the response as a JSON object with:
-    - composition: Describe the sculptural silhouette and spatial presence in 2-3 detailed sentences.
-    - geometry: Analyze how the proportions manifest in structural balance and phi-harmonics.
-    - styling: Critique the materiality, finish, and design coherence.
-    - verdict: A singular design classification (e.g., 'Classical Masterpiece').`;
+    setRetryNotice(null);
+    setPartialReport(null);
 
     try {
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ role: "user", parts: [
-            { text: userPrompt }, 
-            { inlineData: { mimeType: "image/png", data: base64Image } }
-          ]}],
-          systemInstruction: { parts: [{ text: systemPrompt }] },
-          generationConfig: { 
-            responseMimeType: "application/json",
-            maxOutputTokens: 1000,
-            responseSchema: {
-              type: "OBJECT",
-              properties: { 
-                composition: { type: "STRING" }, 
-                geometry: { type: "STRING" }, 
-                styling: { type: "STRING" }, 
-                verdict: { type: "STRING" } 
-              },
-              required: ["composition", "geometry", "styling", "verdict"]
-            }
-          }
-        })
+      const report = await requestAudit(createProvider(), images, stats, {
+        profile: auditProfile,
+        signal: controller.signal,
+        onRetry: setRetryNotice,
+        onPartial: partial => {
+          if (!controller.signal.aborted) setPartialReport(partial);
+        }
       });
-
-      if (!response.ok) {
-        throw new Error(`API_ERROR_${response.status}`);
-      }
-      
-      const result = await response.json();
-      const content = result.candidates?.[0]?.content?.parts?.[0]?.text;
-      
-      if (!content) {
-        throw new Error("EMPTY_RESPONSE");
-      }
-      
-      setAiReport(JSON.parse(content));
-      setIsAnalyzing(false);
+      if (!controller.signal.aborted) setAiReport(report);
     } catch (e) {
-      if (attempt < 5) {
-        const delay = Math.pow(2, attempt) * 1000;
-        setTimeout(() => getAiAnalysisWithRetry(base64Image, stats, attempt + 1), delay);
-      } else {
+      if (controller.signal.aborted) return;
+      // Losing the connection mid-request queues the critique instead.
+      if (e.code === 'NETWORK_ERROR' && isOffline()) setDeferredCritique('queued');
+      else setErrorMessage(describeAuditError(e));
+    } finally {
+      if (auditRef.current === controller) {
+        auditRef.current = null;
         setIsAnalyzing(false);
-        setErrorMessage("Neural synchronization timeout. Please re-initialize the scan.");
-        setAiReport({ 
-          composition: "Audit synthesis interrupted by network variance. Please try again.", 
-          geometry: "Proportional data stream inconsistent.", 
-          styling: "Aesthetic details could not be resolved.", 
-          verdict: "Audit Incomplete" 
-        });
+        setRetryNotice(null);
+        setPartialReport(null);
       }
     }
   };
 
+  const deferAudit = (images, stats, auditProfile, mode) => {
+    lastAuditRef.current = { images, stats, auditProfile };
+    setReportProfile(auditProfile);
+    setDeferredCritique(mode);
+  };
+
+  // While streaming, the partial report fills the sections; the field
+  // receiving text is the last key the parser has seen. A stopped
+  // critique keeps what had arrived.
+  const shownReport = aiReport || partialReport;
+  const streamingKey = isAnalyzing && !aiReport && partialReport ? Object.keys(partialReport).pop() : null;
+
+  const stopAudit = () => {
+    cancelAudit();
+    setIsAnalyzing(false);
+    setRetryNotice(null);
+    setErrorMessage('Critique generation stopped.');
+  };
+
+  const retryAudit = () => {
+    const { images, stats, auditProfile } = lastAuditRef.current;
+    runAiAudit(images, stats, auditProfile);
+  };
+
+  // Typed dimensions win; detection fills an empty buffer, or refreshes
+  // one it filled itself, with the silhouette in pixels.
+  const showImage = (nextFile) => {
+    const prefill = pixelInput || (!height && !width && !depth);
+    setFile(nextFile);
+    setImageUrl(URL.createObjectURL(nextFile));
+    setSilhouette(null);
+    setImageError(null);
+    if (pixelInput) {
+      setHeight('');
+      setWidth('');
+      setDepth('');
+      setPixelInput(false);
+    }
+
+    const token = ++detectionRef.current;
+    loadImageCanvas(nextFile)
+      .then(({ canvas, scale }) => detectSilhouette(canvas, scale), error => {
+        if (token === detectionRef.current) setImageError(error.message);
+        return null;
+      })
+      .then(result => {
+        if (token !== detectionRef.current || !result) return;
+        setSilhouette(result);
+        if (prefill) {
+          setPixelInput(true);
+          setHeight(String(Math.round(result.box.height)));
+          setWidth(String(Math.round(result.box.width)));
+        }
+      })
+      // Detection is a convenience; the frame is still measurable without it.
+      .catch(() => {});
+  };
+
+  // Side and top photos are measured by their subject box, or the whole
+  // frame when no silhouette stands out.
+  const addView = (viewId, viewFile) => {
+    const url = URL.createObjectURL(viewFile);
+    setViews(current => {
+      if (current[viewId]) URL.revokeObjectURL(current[viewId].url);
+      return { ...current, [viewId]: { file: viewFile, url, box: null } };
+    });
+    loadImageCanvas(viewFile)
+      .then(({ canvas, scale }) => detectSilhouette(canvas, scale)?.box
+        || { x: 0, y: 0, width: canvas.width / scale, height: canvas.height / scale })
+      .then(box => ({ box }), error => ({ error: error.message }))
+      .then(patch => setViews(current => (
+        current[viewId]?.file === viewFile ? { ...current, [viewId]: { ...current[viewId], ...patch } } : current
+      )));
+  };
+
+  const clearViews = () => {
+    Object.values(views).forEach(view => view && URL.revokeObjectURL(view.url));
+    setViews({ side: null, top: null });
+  };
+
+  // Pixel values mean nothing in a real unit, so picking one clears them.
+  const changeUnit = (nextUnit) => {
+    if (pixelInput) {
+      setHeight('');
+      setWidth('');
+      setDepth('');
+      setPixelInput(false);
+    }
+    setUnit(nextUnit);
+  };
+
+  const removeView = (viewId) => {
+    if (views[viewId]) URL.revokeObjectURL(views[viewId].url);
+    setViews({ ...views, [viewId]: null });
+  };
+
+  // Several images, a folder or a manifest switch to catalogue mode.
+  const handleFiles = (files) => {
+    const images = files.filter(isImageFile);
+    if (images.length > 1 || files.some(isManifestFile)) {
+      setBatchFiles(files);
+      setView('batch');
+    } else {
+      handleFileSelection(images[0]);
+    }
+  };
+
   const handleFileSelection = (selectedFile) => {
     if (selectedFile?.type.startsWith('image/')) {
-      setFile(selectedFile);
-      setImageUrl(URL.createObjectURL(selectedFile));
+      setOriginalFile(null);
+      // Side and top photos belong to the previous piece.
+      clearViews();
+      showImage(selectedFile);
     }
   };
 
+  // The silhouette is re-detected on the warped image; typed dimensions
+  // are real-world and survive the swap.
+  const applyRectification = (rectifiedFile) => {
+    setOriginalFile(originalFile || file);
+    setIsRectifying(false);
+    showImage(rectifiedFile);
+  };
+
+  const restoreOriginal = () => {
+    showImage(originalFile);
+    setOriginalFile(null);
+  };
+
+  // Every added view must be measured before its face can be scored.
+  const viewsReady = Object.values(views).every(view => !view || view.box);
+
   const startScan = async () => {
-    if (!imageUrl || !file) return;
+    if (!imageUrl || !file || imageError || !viewsReady || !dimensionInput.valid) return;
+    const token = ++scanRef.current;
+    cancelAudit();
     setIsScanning(true);
     setProgress(0);
     setScanComplete(false);
+    archiveRef.current = null;
     setAiReport(null);
+    setPartialReport(null);
     setErrorMessage(null);
+    setMeasurements(EMPTY_MEASUREMENTS);
 
     const img = new Image();
+    img.onerror = () => {
+      if (token !== scanRef.current) return;
+      setIsScanning(false);
+      setImageError(`Could not decode ${file.name}`);
+    };
     img.onload = () => {
-      const h = height ? parseFloat(height) : img.naturalHeight;
-      const w = width ? parseFloat(width) : img.naturalWidth;
-      const result = analyzeProportions(h, w);
+      const naturalSize = { width: img.naturalWidth, height: img.naturalHeight };
+      const dimensions = resolveScanDimensions(dimensionInput, inputUnit, silhouette, naturalSize);
+      // Every face that can be measured goes to the critique with the views.
+      const stats = buildScanStats(dimensions, { side: views.side?.box, top: views.top?.box }, ratioOptions);
+      const viewFiles = [{ view: 'front', file }, ...['side', 'top'].filter(id => views[id]).map(id => ({ view: id, file: views[id].file }))];
+      setImageSize(naturalSize);
       
       const interval = setInterval(() => {
+        if (token !== scanRef.current) {
+          clearInterval(interval);
+          return;
+        }
         setProgress(p => {
           if (p >= 100) {
             clearInterval(interval);
             setTimeout(() => {
-              setAnalysis(result);
+              if (token !== scanRef.current) return;
+              setScanDimensions(dimensions);
               setIsScanning(false);
               setScanComplete(true);
-              prepareImageForAI(file).then(b64 => getAiAnalysisWithRetry(b64, result));
+              Promise.all(viewFiles.map(({ view, file: viewFile }) => (
+                prepareImageForAI(viewFile).then(image => ({ view, image, mimeType: 'image/png' }))
+              ))).then(images => {
+                if (token !== scanRef.current) return;
+                if (localOnly) deferAudit(images, stats, profile, 'local');
+                else if (isOffline()) deferAudit(images, stats, profile, 'queued');
+                else runAiAudit(images, stats, profile);
+              }).catch(error => {
+                if (token === scanRef.current) setErrorMessage(error.message);
+              });
             }, 300);
             return 100;
           }
@@ -228,7 +567,42 @@ export default function App() {
 
       <div className="relative w-full max-w-6xl space-y-8 animate-in fade-in duration-700">
         
-        <header className="text-center space-y-4">
+        <header className="relative text-center space-y-4">
+          {!online && (
+            <div className="absolute top-0 left-0 bg-white/5 border border-white/10 backdrop-blur-xl px-4 py-3 rounded-2xl flex items-center gap-3 text-yellow-500">
+              <WifiOff className="w-4 h-4" />
+              <span className="text-[10px] font-black uppercase tracking-widest">Offline</span>
+            </div>
+          )}
+          <div className="absolute top-0 right-0 flex gap-2">
+            <button
+              onClick={() => setLocalOnly(!localOnly)}
+              className={`p-3 rounded-2xl border backdrop-blur-xl transition-all ${
+                localOnly ? 'bg-cyan-500 border-cyan-400 text-black' : 'bg-white/5 border-white/10 text-white/60 hover:bg-white/10'
+              }`}
+              title={localOnly ? 'Local Only: critiques off' : 'Local Only Mode'}
+            >
+              <CloudOff className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => setView(view === 'batch' ? 'audit' : 'batch')}
+              className={`p-3 rounded-2xl border backdrop-blur-xl transition-all ${
+                view === 'batch' ? 'bg-cyan-500 border-cyan-400 text-black' : 'bg-white/5 border-white/10 text-white/60 hover:bg-white/10'
+              }`}
+              title="Catalogue Audit"
+            >
+              <LayoutGrid className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => setView(view === 'history' ? 'audit' : 'history')}
+              className={`p-3 rounded-2xl border backdrop-blur-xl transition-all ${
+                view === 'history' ? 'bg-cyan-500 border-cyan-400 text-black' : 'bg-white/5 border-white/10 text-white/60 hover:bg-white/10'
+              }`}
+              title="Audit Archive"
+            >
+              <History className="w-5 h-5" />
+            </button>
+          </div>
           <div className="inline-flex p-3 rounded-2xl bg-white/5 border border-white/10 backdrop-blur-xl mb-4 shadow-2xl">
             <LayoutTemplate className="w-8 h-8 text-cyan-400" />
           </div>
@@ -243,23 +617,34 @@ export default function App() {
         </header>
 
         <main className="relative z-10">
-          {!file ? (
+          {view === 'history' ? (
+            <HistoryView onClose={() => setView('audit')} />
+          ) : view === 'batch' ? (
+            <BatchView
+              initialFiles={batchFiles}
+              ratioOptions={ratioOptions}
+              provider={localOnly ? null : optionalProvider()}
+              profile={profile}
+              onClose={() => { setView('audit'); setBatchFiles(null); }}
+            />
+          ) : !file ? (
             <div className="grid grid-cols-1 lg:grid-cols-12 gap-8">
               <div className="lg:col-span-7">
                 <div
                   onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
                   onDragLeave={() => setIsDragging(false)}
-                  onDrop={(e) => { e.preventDefault(); setIsDragging(false); if (e.dataTransfer.files?.[0]) handleFileSelection(e.dataTransfer.files[0]); }}
+                  onDrop={(e) => { e.preventDefault(); setIsDragging(false); collectDroppedFiles(e.dataTransfer).then(handleFiles); }}
                   className={`group relative h-[450px] flex flex-col items-center justify-center border border-white/20 rounded-[2.5rem] bg-white/[0.03] backdrop-blur-[20px] transition-all duration-500 shadow-2xl ${
                     isDragging ? 'scale-[1.02] border-cyan-400 bg-cyan-400/5' : 'hover:bg-white/[0.05]'
                   }`}
                 >
-                  <input type="file" accept="image/*" onChange={(e) => handleFileSelection(e.target.files?.[0])} className="absolute inset-0 opacity-0 cursor-pointer z-10" />
+                  <input type="file" accept="image/*,.csv,text/csv" multiple onChange={(e) => handleFiles(Array.from(e.target.files || []))} className="absolute inset-0 opacity-0 cursor-pointer z-10" />
                   <div className="p-6 bg-cyan-400/10 rounded-full mb-6 border border-cyan-400/20 group-hover:scale-110 transition-transform duration-500">
                     <UploadCloud className="w-12 h-12 text-cyan-400" />
                   </div>
                   <h3 className="text-xl font-bold text-white tracking-wide">Initialize Visual Input</h3>
                   <p className="text-white/40 text-xs mt-2 uppercase tracking-widest font-semibold">Drop asset or click to browse</p>
+                  <p className="text-white/20 text-[10px] mt-1 uppercase tracking-widest font-semibold">Several files, a folder or a CSV manifest open catalogue mode</p>
                 </div>
               </div>
 
@@ -270,14 +655,28 @@ export default function App() {
                     <h4 className="text-xs font-black text-white/60 uppercase tracking-[0.2em]">Dimension Buffer</h4>
                   </div>
                   <div className="space-y-6">
-                    <InputField label="Height Scalar" placeholder="190.00" value={height} onChange={setHeight} />
-                    <InputField label="Width Scalar" placeholder="117.00" value={width} onChange={setWidth} />
+                    <UnitSelector unit={inputUnit} onChange={changeUnit} />
+                    <InputField label={`Height Scalar (${inputUnit})`} placeholder={PLACEHOLDERS[inputUnit].height} value={height} error={dimensionInput.errors.height} onChange={setHeight} />
+                    <InputField label={`Width Scalar (${inputUnit})`} placeholder={PLACEHOLDERS[inputUnit].width} value={width} error={dimensionInput.errors.width} onChange={setWidth} />
+                    <InputField label={`Depth Scalar (${inputUnit})`} placeholder={PLACEHOLDERS[inputUnit].depth} value={depth} error={dimensionInput.errors.depth} onChange={setDepth} />
+                    <RatioSelector
+                      target={ratioTarget}
+                      customRatios={customRatios}
+                      onTargetChange={setRatioTarget}
+                      onCustomRatiosChange={setCustomRatios}
+                    />
+                    <ProfilePanel
+                      profiles={profiles}
+                      profileId={profile.id}
+                      onSelect={setProfileId}
+                      onProfilesChange={setCustomProfiles}
+                    />
                   </div>
                 </div>
                 <div className="p-6 bg-yellow-500/10 border border-yellow-500/20 rounded-3xl flex gap-4">
                   <Cpu className="w-6 h-6 text-yellow-500 shrink-0" />
                   <p className="text-[11px] text-yellow-500/80 leading-relaxed font-bold uppercase tracking-wider">
-                    Dimensions calibrate the Phi-Engine. If null, pixel aspect ratio becomes primary metric.
+                    Typed dimensions are read in the selected unit, fractions included. If null, the detected silhouette is measured in pixels; failing that, pixel aspect ratio becomes primary metric. Mark a reference length after the scan to convert pixels to units.
                   </p>
                 </div>
               </div>
@@ -286,15 +685,66 @@ export default function App() {
             <div className="space-y-8">
               {!scanComplete && !isScanning && (
                 <div className="flex flex-col items-center justify-center py-20 bg-white/[0.02] border border-white/10 rounded-[3rem] backdrop-blur-3xl animate-in zoom-in-95 duration-500">
-                   <div className="relative mb-12 shadow-[0_0_80px_rgba(0,217,255,0.2)]">
-                      <img src={imageUrl} alt="Asset" className="w-72 h-72 object-cover rounded-[3rem] border-4 border-white/10" />
-                      <div className="absolute -bottom-4 -right-4 p-4 bg-cyan-500 rounded-2xl shadow-xl cursor-pointer" onClick={startScan}>
-                        <ArrowRight className="w-6 h-6 text-white" />
+                   {isRectifying ? (
+                     <PerspectiveEditor
+                       file={file}
+                       imageUrl={imageUrl}
+                       onApply={applyRectification}
+                       onCancel={() => setIsRectifying(false)}
+                     />
+                   ) : (
+                     <div className="relative mb-12 shadow-[0_0_80px_rgba(0,217,255,0.2)]">
+                        <img src={imageUrl} alt="Asset" className="w-72 h-72 object-cover rounded-[3rem] border-4 border-white/10" />
+                        <div className="absolute -bottom-4 -right-4 p-4 bg-cyan-500 rounded-2xl shadow-xl cursor-pointer" onClick={startScan}>
+                          <ArrowRight className="w-6 h-6 text-white" />
+                        </div>
+                     </div>
+                   )}
+                   {!isRectifying && (
+                     <div className="flex gap-3 mb-8">
+                       <button
+                         onClick={() => setIsRectifying(true)}
+                         className="px-5 py-3 rounded-2xl border border-white/10 bg-white/5 hover:bg-white/10 text-white/60 font-black uppercase tracking-[0.3em] text-[10px] flex items-center gap-3 transition-all"
+                       >
+                         <Focus className="w-4 h-4" /> Correct Perspective
+                       </button>
+                       {originalFile && (
+                         <button
+                           onClick={restoreOriginal}
+                           className="px-5 py-3 rounded-2xl border border-white/10 bg-white/5 hover:bg-white/10 text-white/60 font-black uppercase tracking-[0.3em] text-[10px] flex items-center gap-3 transition-all"
+                         >
+                           <Undo2 className="w-4 h-4" /> Restore Original
+                         </button>
+                       )}
+                     </div>
+                   )}
+                   {!isRectifying && (
+                     <div className="w-full max-w-xl mb-8">
+                       <ViewSlots frontUrl={imageUrl} views={views} onAdd={addView} onRemove={removeView} />
+                     </div>
+                   )}
+                   <div className="w-full max-w-xl grid grid-cols-3 gap-4 mb-10">
+                      <div className="col-span-3">
+                        <UnitSelector unit={inputUnit} onChange={changeUnit} />
                       </div>
+                      <InputField label={`Height (${inputUnit})`} placeholder={PLACEHOLDERS[inputUnit].height} value={height} error={dimensionInput.errors.height} onChange={setHeight} />
+                      <InputField label={`Width (${inputUnit})`} placeholder={PLACEHOLDERS[inputUnit].width} value={width} error={dimensionInput.errors.width} onChange={setWidth} />
+                      <InputField label={`Depth (${inputUnit})`} placeholder={PLACEHOLDERS[inputUnit].depth} value={depth} error={dimensionInput.errors.depth} onChange={setDepth} />
+                      {imageError && (
+                        <p className="col-span-3 text-[10px] text-rose-400 font-bold uppercase tracking-widest text-center">
+                          {imageError} • Try a JPEG or PNG
+                        </p>
+                      )}
+                      {silhouette && (
+                        <p className="col-span-3 text-[10px] text-cyan-400/70 font-bold uppercase tracking-widest text-center">
+                          Silhouette detected • {Math.round(silhouette.box.height)} × {Math.round(silhouette.box.width)} px
+                        </p>
+                      )}
                    </div>
                    <button 
                     onClick={startScan} 
-                    className="group relative px-12 py-5 bg-cyan-500 rounded-2xl text-black font-black uppercase tracking-[0.3em] text-sm overflow-hidden transition-all duration-300 hover:-translate-y-1 hover:shadow-[0_20px_40px_rgba(0,217,255,0.3)]"
+                    disabled={!!imageError || !viewsReady || !dimensionInput.valid}
+                    className="group relative px-12 py-5 bg-cyan-500 rounded-2xl text-black font-black uppercase tracking-[0.3em] text-sm overflow-hidden transition-all duration-300 hover:-translate-y-1 hover:shadow-[0_20px_40px_rgba(0,217,255,0.3)] disabled:opacity-40 disabled:pointer-events-none"
                    >
                      <span className="relative z-10">Execute Audit</span>
                      <div className="absolute inset-0 bg-gradient-to-r from-cyan-400 to-cyan-200 opacity-0 group-hover:opacity-100 transition-opacity" />
@@ -323,40 +773,92 @@ export default function App() {
                   <div className="lg:col-span-5 space-y-8">
                     <div className="relative group rounded-[3rem] overflow-hidden border border-white/20 bg-black shadow-[0_80px_100px_-20px_rgba(0,0,0,0.8)] aspect-square flex items-center justify-center backdrop-blur-3xl">
                       <div className="absolute inset-0 bg-cyan-500/5 opacity-0 group-hover:opacity-100 transition-opacity duration-700" />
-                      <img src={imageUrl} alt="Subject" className="max-w-[85%] max-h-[85%] object-contain opacity-90 drop-shadow-2xl" />
-                      
-                      <div className="absolute inset-0 p-12 pointer-events-none">
-                        <svg viewBox="0 0 161.8 100" className="w-full h-full opacity-40 drop-shadow-[0_0_15px_rgba(212,175,55,0.8)]">
-                          <rect x="0" y="0" width="161.8" height="100" fill="none" stroke="#d4af37" strokeWidth="1" />
-                          <line x1="100" y1="0" x2="100" y2="100" stroke="#d4af37" strokeWidth="0.8" strokeDasharray="2 2" />
-                          <path d="M 100,100 A 100,100 0 0,1 0,0" fill="none" stroke="#d4af37" strokeWidth="1.5" className="animate-[draw_3s_ease-out_forwards]" style={{ strokeDasharray: 400, strokeDashoffset: 400 }} />
-                        </svg>
+                      <div className="absolute inset-[7.5%]">
+                        <img src={imageUrl} alt="Subject" className="w-full h-full object-contain opacity-90 drop-shadow-2xl" />
+                        {imageSize && silhouette && <SilhouetteLayer imageSize={imageSize} silhouette={silhouette} />}
+                        {imageSize && subjectBox && (
+                          <CompositionOverlay
+                            imageSize={imageSize}
+                            box={subjectBox}
+                            overlays={overlays}
+                            flip={spiralFlip}
+                            alignments={alignments}
+                          />
+                        )}
+                        {imageSize && subjectBox && ghostDimensions && (
+                          <GhostOutline imageSize={imageSize} box={ghostBox(subjectBox, auditDimensions, ghostDimensions)} />
+                        )}
+                        {imageSize && (
+                          <MeasurementLayer
+                            imageSize={imageSize}
+                            measurements={measurements}
+                            tool={measureTool}
+                            onChange={setMeasurements}
+                          />
+                        )}
                       </div>
-
+                      
                       <div className="absolute top-6 left-6 bg-white/5 border border-white/10 backdrop-blur-md px-4 py-2 rounded-full flex items-center gap-3">
                          <div className="w-2 h-2 rounded-full bg-cyan-400 shadow-[0_0_10px_#00d9ff] animate-pulse" />
-                         <span className="text-[10px] text-white/80 font-black uppercase tracking-widest">Live HUD</span>
+                         <span className="text-[10px] text-white/80 font-black uppercase tracking-widest">
+                           {measuredAnalysis ? 'Live HUD • Measured' : 'Live HUD'}
+                         </span>
+                      </div>
+                      <div className="absolute bottom-6 left-1/2 -translate-x-1/2 bg-white/5 border border-white/10 backdrop-blur-md px-4 py-2 rounded-full">
+                         <span className="text-[10px] text-white/60 font-black font-mono uppercase tracking-widest whitespace-nowrap">
+                           {formatDimensions(auditDimensions)}
+                         </span>
                       </div>
                     </div>
 
+                    <OverlayControls
+                      overlays={overlays}
+                      flip={spiralFlip}
+                      alignments={alignments}
+                      onOverlaysChange={setOverlays}
+                      onFlipChange={setSpiralFlip}
+                    />
+
+                    <MeasurementPanel
+                      measurements={measurements}
+                      tool={measureTool}
+                      unit={unit}
+                      ratioOptions={ratioOptions}
+                      onToolChange={setMeasureTool}
+                      onUnitChange={setUnit}
+                      onChange={setMeasurements}
+                    />
+
+                    {auditDimensions.height > 0 && auditDimensions.width > 0 && (
+                      <WhatIfPanel
+                        key={`${auditDimensions.height}x${auditDimensions.width}`}
+                        dimensions={auditDimensions}
+                        analysis={activeAnalysis}
+                        ratioOptions={ratioOptions}
+                        measurements={measurements}
+                        unit={unit}
+                        onPreview={setGhostDimensions}
+                      />
+                    )}
+
                     <div className={`p-10 rounded-[2.5rem] border backdrop-blur-3xl transition-all duration-1000 shadow-2xl overflow-hidden relative group ${
-                      analysis.score >= 90 ? 'bg-[#d4af37]/10 border-[#d4af37]/40 shadow-[#d4af37]/10' : 'bg-white/5 border-white/20'
+                      activeAnalysis.score >= 90 ? 'bg-[#d4af37]/10 border-[#d4af37]/40 shadow-[#d4af37]/10' : 'bg-white/5 border-white/20'
                     }`}>
                       <div className="absolute -top-20 -right-20 w-64 h-64 bg-white/5 rounded-full blur-[100px]" />
                       <div className="flex items-center justify-between mb-2">
                         <span className="text-[10px] font-black text-white/40 uppercase tracking-[0.3em]">Geometric Score</span>
                         <div className={`flex items-center gap-2 px-3 py-1 rounded-full text-[10px] font-black uppercase tracking-widest transition-all duration-700 ${
-                          analysis.score >= 90 ? 'bg-[#d4af37] text-black shadow-[0_0_20px_#d4af37]' : 'bg-white/10 text-white/60'
+                          activeAnalysis.score >= 90 ? 'bg-[#d4af37] text-black shadow-[0_0_20px_#d4af37]' : 'bg-white/10 text-white/60'
                         }`}>
                           <Trophy className="w-3 h-3" />
-                          {renderSafely(aiReport?.verdict || 'Processing')}
+                          {renderSafely(shownReport?.verdict || (errorMessage ? 'Unrated' : DEFERRED_VERDICTS[deferredCritique] || 'Processing'))}
                         </div>
                       </div>
                       <div className="flex items-baseline gap-4">
                         <span className={`text-[10rem] font-black tracking-tighter transition-all duration-1000 leading-none ${
-                          analysis.score >= 90 ? 'text-[#d4af37]' : 'text-white'
+                          activeAnalysis.score >= 90 ? 'text-[#d4af37]' : 'text-white'
                         }`}>
-                          {analysis.score}
+                          {activeAnalysis.score}
                         </span>
                         <span className="text-3xl font-bold text-white/20">/ 100</span>
                       </div>
@@ -375,7 +877,23 @@ export default function App() {
                         </div>
                       </div>
 
-                      {isAnalyzing ? (
+                      {isAnalyzing && (
+                        <div className="flex items-center justify-between gap-4 mb-6">
+                          <p className={`text-[10px] font-black uppercase tracking-[0.3em] animate-pulse ${retryNotice ? 'text-yellow-500' : 'text-cyan-400'}`}>
+                            {retryNotice
+                              ? `Retrying in ${Math.ceil(retryNotice.delay / 1000)}s • Attempt ${retryNotice.attempt + 1} of ${retryNotice.retries + 1}`
+                              : partialReport ? 'Streaming Critique' : 'Awaiting Critique'}
+                          </p>
+                          <button
+                            onClick={stopAudit}
+                            className="px-4 py-2 rounded-xl border border-white/10 bg-white/5 hover:bg-white/10 text-white/60 font-black uppercase tracking-[0.3em] text-[10px] flex items-center gap-2 transition-all"
+                          >
+                            <Square className="w-3 h-3" /> Stop
+                          </button>
+                        </div>
+                      )}
+
+                      {isAnalyzing && !partialReport ? (
                         <div className="space-y-8">
                           {[1, 2, 3].map(i => (
                             <div key={i} className="animate-pulse space-y-4">
@@ -387,31 +905,101 @@ export default function App() {
                       ) : (
                         <div className="grid grid-cols-1 gap-6">
                           {errorMessage && (
-                            <div className="p-4 bg-rose-500/10 border border-rose-500/20 rounded-2xl text-rose-400 text-xs font-bold uppercase tracking-widest text-center animate-bounce">
-                              {errorMessage}
+                            <div className="p-8 bg-rose-500/10 border border-rose-500/20 rounded-[2rem] space-y-6 text-center">
+                              <div className="flex items-center justify-center gap-3 text-rose-400">
+                                <AlertTriangle className="w-5 h-5" />
+                                <span className="text-[10px] font-black uppercase tracking-[0.3em]">Critique Unavailable</span>
+                              </div>
+                              <p className="text-rose-300/80 text-xs font-bold uppercase tracking-widest leading-relaxed">{errorMessage}</p>
+                              <p className="text-white/30 text-[10px] uppercase tracking-widest">The geometric audit above is unaffected.</p>
+                              {lastAuditRef.current && (
+                                <button
+                                  onClick={retryAudit}
+                                  className="mx-auto px-6 py-3 rounded-2xl border border-rose-400/30 bg-rose-500/10 hover:bg-rose-500/20 text-rose-300 font-black uppercase tracking-[0.3em] text-[10px] flex items-center gap-3 transition-all"
+                                >
+                                  <RotateCcw className="w-4 h-4" /> Retry Critique
+                                </button>
+                              )}
+                            </div>
+                          )}
+                          {deferredCritique && (
+                            <div className="p-8 bg-white/[0.02] border border-white/10 rounded-[2rem] space-y-6 text-center">
+                              <div className="flex items-center justify-center gap-3 text-cyan-400">
+                                {deferredCritique === 'local' ? <CloudOff className="w-5 h-5" /> : <WifiOff className="w-5 h-5" />}
+                                <span className="text-[10px] font-black uppercase tracking-[0.3em]">
+                                  {deferredCritique === 'local' ? 'Local-Only Audit' : 'Critique Queued'}
+                                </span>
+                              </div>
+                              <p className="text-white/50 text-xs font-bold uppercase tracking-widest leading-relaxed">
+                                {deferredCritique === 'local'
+                                  ? 'Scored and overlaid on this device. No image was sent for critique.'
+                                  : 'Offline. The critique is requested automatically when the connection returns.'}
+                              </p>
+                              {deferredCritique === 'local' && (
+                                <button
+                                  onClick={retryAudit}
+                                  disabled={!online}
+                                  className="mx-auto px-6 py-3 rounded-2xl border border-cyan-400/30 bg-cyan-500/10 hover:bg-cyan-500/20 text-cyan-300 font-black uppercase tracking-[0.3em] text-[10px] flex items-center gap-3 disabled:opacity-30 transition-all"
+                                >
+                                  <Sparkles className="w-4 h-4" /> Request Critique
+                                </button>
+                              )}
                             </div>
                           )}
-                          {aiReport && (
-                            <>
-                              <ReportSection icon={<Box />} title="Composition" content={aiReport.composition} />
-                              <ReportSection icon={<Layers />} title="Geometry" content={aiReport.geometry} />
-                              <ReportSection icon={<Sparkles />} title="Styling" content={aiReport.styling} />
-                            </>
+                          {shownReport && (
+                            <ReportSections
+                              fields={reportProfile.fields}
+                              report={shownReport}
+                              streamingKey={streamingKey}
+                              attachments={{ geometry: harmonics && <HarmonicBreakdown harmonics={harmonics} /> }}
+                            />
                           )}
                         </div>
                       )}
 
+                      {harmonics && !(shownReport && reportProfile.fields.some(f => f.key === 'geometry')) && (
+                        <div className="mt-6">
+                          <HarmonicBreakdown harmonics={harmonics} />
+                        </div>
+                      )}
+
                       <div className="mt-12 pt-10 border-t border-white/10 grid grid-cols-3 gap-8">
-                        <MetricHUD label="Observed" value={analysis.ratio} />
-                        <MetricHUD label="Ideal (φ)" value={analysis.target} />
+                        <MetricHUD label="Observed" value={activeAnalysis.ratio} />
+                        <MetricHUD
+                          label={targetCaption(activeAnalysis, ratioTarget)}
+                          value={activeAnalysis.target}
+                        />
                         <MetricHUD 
                           label="Variance" 
-                          value={`${analysis.variance}%`} 
-                          color={Math.abs(analysis.variance) > 10 ? 'text-orange-500' : 'text-cyan-400'} 
+                          value={`${activeAnalysis.variance}%`} 
+                          color={Math.abs(activeAnalysis.variance) > 10 ? 'text-orange-500' : 'text-cyan-400'} 
                         />
                       </div>
+
+                      <div className="mt-8">
+                        <RatioSpectrum analysis={activeAnalysis} onSelect={setRatioTarget} />
+                      </div>
                     </div>
 
+                    {isVolumetric && <VolumetricPanel volume={volume} />}
+
+                    <ExportMenu
+                      audit={{
+                        file,
+                        fileName: file.name,
+                        createdAt: archiveRef.current?.createdAt,
+                        dimensions: auditDimensions,
+                        analysis: activeAnalysis,
+                        ratioTarget,
+                        harmonics,
+                        aiReport,
+                        profile: summarizeProfile(reportProfile),
+                        ...(isVolumetric && { volume: summarizeVolume(volume) }),
+                        measurements,
+                        silhouette
+                      }}
+                    />
+
                     <button 
                       onClick={reset} 
                       className="w-full py-6 rounded-[2rem] border border-white/10 bg-white/5 hover:bg-white/10 text-white/60 font-black uppercase tracking-[0.4em] text-xs transition-all flex items-center justify-center gap-4 hover:border-white/20 active:scale-95 shadow-2xl"
@@ -436,31 +1024,31 @@ export default function App() {
   );
 }
 
-function InputField({ label, placeholder, value, onChange }) {
+const DEFERRED_VERDICTS = { local: 'Local Only', queued: 'Queued' };
+
+const PLACEHOLDERS = {
+  px: { height: '1294', width: '800', depth: '' },
+  mm: { height: '1900', width: '1170', depth: '600' },
+  cm: { height: '190.00', width: '117.00', depth: '60.00' },
+  in: { height: '74 3/4', width: '46 1/16', depth: '23 5/8' },
+  ft: { height: `6' 2 3/4"`, width: `3' 10"`, depth: `1' 11 5/8"` }
+};
+
+function InputField({ label, placeholder, value, error, onChange }) {
   return (
     <div className="space-y-3">
       <label className="text-[10px] font-black text-white/40 uppercase tracking-[0.3em] ml-2">{label}</label>
       <input 
-        type="number" 
+        type="text" 
+        inputMode="decimal"
         placeholder={placeholder} 
         value={value} 
         onChange={(e) => onChange(e.target.value)} 
-        className="w-full bg-black/40 border border-white/10 rounded-2xl px-6 py-4 text-white text-lg font-mono placeholder:text-white/10 focus:outline-none focus:border-cyan-500/50 transition-all shadow-inner" 
+        className={`w-full bg-black/40 border rounded-2xl px-6 py-4 text-white text-lg font-mono placeholder:text-white/10 focus:outline-none transition-all shadow-inner ${
+          error ? 'border-rose-400/60' : 'border-white/10 focus:border-cyan-500/50'
+        }`}
       />
-    </div>
-  );
-}
-
-function ReportSection({ icon, title, content }) {
-  return (
-    <div className="group space-y-3 p-6 rounded-[2rem] border border-white/5 bg-white/[0.02] hover:bg-white/[0.04] hover:border-white/10 transition-all duration-500">
-      <div className="flex items-center gap-3 text-cyan-400/60 group-hover:text-cyan-400 transition-colors">
-        {React.cloneElement(icon, { className: "w-4 h-4" })}
-        <h4 className="text-[10px] font-black uppercase tracking-[0.3em]">{title}</h4>
-      </div>
-      <p className="text-sm leading-relaxed text-white/70 font-medium italic">
-        {renderSafely(content)}
-      </p>
+      {error && <p className="text-[10px] text-rose-400 font-bold uppercase tracking-widest ml-2">{error}</p>}
     </div>
   );
 }
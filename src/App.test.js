@@ -0,0 +1,257 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from './App';
+import { AuditError } from './lib/ai/errors';
+import * as history from './lib/history';
+import * as segmentation from './lib/segmentation';
+
+const mockAudit = jest.fn();
+let mockProviderId = 'test';
+
+jest.mock('./lib/ai', () => {
+  const actual = jest.requireActual('./lib/ai');
+  return {
+    ...actual,
+    createProvider: () => {
+      if (mockProviderId !== 'test') throw new actual.AuditError('UNKNOWN_PROVIDER', { details: mockProviderId });
+      return { id: 'test', audit: request => mockAudit(request) };
+    }
+  };
+});
+
+afterEach(() => {
+  mockProviderId = 'test';
+});
+
+const REPORT = {
+  composition: 'A poised, upright silhouette.',
+  geometry: 'The height sits on the golden ratio.',
+  styling: 'Oiled oak, cleanly detailed.',
+  verdict: 'Classical Masterpiece'
+};
+
+// The scan animation runs on real timers and takes well under a second.
+const SCAN_TIMEOUT = 3000;
+
+const uploadAndScan = async (user, container, { height = '161.8', width = '100' } = {}) => {
+  await user.upload(container.querySelector('input[type="file"]'), new File(['chair'], 'chair.png', { type: 'image/png' }));
+  await user.type(screen.getByPlaceholderText('190.00'), height);
+  await user.type(screen.getByPlaceholderText('117.00'), width);
+  await user.click(screen.getByRole('button', { name: 'Execute Audit' }));
+  await screen.findByText('Aesthetic Synthesis', {}, { timeout: SCAN_TIMEOUT });
+};
+
+describe('audit flow', () => {
+  it('uploads, scans, reports and resets', async () => {
+    mockAudit.mockResolvedValue(REPORT);
+    const user = userEvent.setup();
+    const { container } = render(<App />);
+
+    expect(screen.getByText('Initialize Visual Input')).toBeInTheDocument();
+    await uploadAndScan(user, container);
+
+    expect(await screen.findByText(REPORT.composition)).toBeInTheDocument();
+    expect(screen.getByText(REPORT.geometry)).toBeInTheDocument();
+    expect(screen.getByText(REPORT.styling)).toBeInTheDocument();
+
+    expect(mockAudit).toHaveBeenCalledTimes(1);
+    const [request] = mockAudit.mock.calls[0];
+    expect(request.images).toEqual([{ view: 'front', image: 'AAAA', mimeType: 'image/png' }]);
+    expect(request.stats).toMatchObject({ ratio: 1.618, targetId: 'phi', score: 100 });
+    expect(request.prompt.user).toContain('Observed Ratio: 1.618');
+
+    await user.click(screen.getByRole('button', { name: /Reset Environment/ }));
+    expect(screen.getByText('Initialize Visual Input')).toBeInTheDocument();
+    expect(screen.queryByText(REPORT.composition)).not.toBeInTheDocument();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:mock');
+  });
+
+  it('keeps the geometric audit when the critique fails, and retries', async () => {
+    mockAudit.mockRejectedValueOnce(new AuditError('API_ERROR_400')).mockResolvedValue(REPORT);
+    const user = userEvent.setup();
+    const { container } = render(<App />);
+
+    await uploadAndScan(user, container, { height: '100', width: '100' });
+
+    expect(await screen.findByText('Critique Unavailable')).toBeInTheDocument();
+    expect(screen.getByText('Observed')).toBeInTheDocument();
+    expect(screen.getByText('-38.2%')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /Retry Critique/ }));
+    expect(await screen.findByText(REPORT.composition)).toBeInTheDocument();
+    expect(screen.queryByText('Critique Unavailable')).not.toBeInTheDocument();
+    expect(mockAudit).toHaveBeenCalledTimes(2);
+  });
+
+  it('archives an audit whose critique failed, with the failure', async () => {
+    mockAudit.mockRejectedValue(new AuditError('API_ERROR_400', { status: 400 }));
+    const saveAudit = jest.spyOn(history, 'saveAudit').mockResolvedValue(1);
+    const user = userEvent.setup();
+    const { container } = render(<App />);
+
+    await uploadAndScan(user, container, { height: '100', width: '100' });
+
+    expect(await screen.findByText('Critique Unavailable')).toBeInTheDocument();
+    await waitFor(() => expect(saveAudit).toHaveBeenLastCalledWith(expect.objectContaining({
+      id: 1,
+      fileName: 'chair.png',
+      aiReport: null,
+      critiqueStatus: 'failed',
+      critiqueError: 'Critique request was rejected (400).'
+    })), { timeout: 2000 });
+  });
+
+  it('keeps the geometric audit when the provider is misconfigured', async () => {
+    mockProviderId = 'gemnii';
+    const user = userEvent.setup();
+    const { container } = render(<App />);
+
+    await uploadAndScan(user, container, { height: '100', width: '100' });
+
+    expect(await screen.findByText('Unknown critique provider "gemnii". Check REACT_APP_AI_PROVIDER.')).toBeInTheDocument();
+    expect(screen.getByText('-38.2%')).toBeInTheDocument();
+    expect(mockAudit).not.toHaveBeenCalled();
+  });
+
+  it('sends nothing in local-only mode until asked', async () => {
+    mockAudit.mockResolvedValue(REPORT);
+    const user = userEvent.setup();
+    const { container } = render(<App />);
+
+    await user.click(screen.getByTitle('Local Only Mode'));
+    await uploadAndScan(user, container);
+
+    expect(await screen.findByText('Local-Only Audit')).toBeInTheDocument();
+    expect(mockAudit).not.toHaveBeenCalled();
+
+    await user.click(screen.getByRole('button', { name: /Request Critique/ }));
+    expect(await screen.findByText(REPORT.composition)).toBeInTheDocument();
+    await waitFor(() => expect(mockAudit).toHaveBeenCalledTimes(1));
+  });
+
+  it('blocks the scan on invalid dimensions', async () => {
+    const user = userEvent.setup();
+    const { container } = render(<App />);
+
+    await user.upload(container.querySelector('input[type="file"]'), new File(['chair'], 'chair.png', { type: 'image/png' }));
+    await user.type(screen.getByPlaceholderText('190.00'), '-5');
+
+    expect(screen.getByText('Must be positive')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Execute Audit' })).toBeDisabled();
+  });
+
+  it('reports an image that cannot be decoded', async () => {
+    window.Image.undecodable = ['corrupt'];
+    const user = userEvent.setup();
+    const { container } = render(<App />);
+
+    await user.upload(container.querySelector('input[type="file"]'), new File(['corrupt'], 'chair.png', { type: 'image/png' }));
+
+    expect(await screen.findByText(/Could not decode chair.png/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Execute Audit' })).toBeDisabled();
+  });
+
+  it('pre-fills the buffer with the detected silhouette in pixels', async () => {
+    jest.spyOn(segmentation, 'detectSilhouette').mockReturnValue({
+      box: { x: 40, y: 20, width: 300.4, height: 485.6 }, contour: [], horizontalEdges: [], verticalEdges: [], coverage: 0.4
+    });
+    mockAudit.mockResolvedValue(REPORT);
+    const user = userEvent.setup();
+    const { container } = render(<App />);
+
+    await user.upload(container.querySelector('input[type="file"]'), new File(['chair'], 'chair.png', { type: 'image/png' }));
+
+    expect(await screen.findByDisplayValue('486')).toBeInTheDocument();
+    expect(screen.getByDisplayValue('300')).toBeInTheDocument();
+    expect(screen.getByText('Height (px)')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Execute Audit' }));
+    await screen.findByText('Aesthetic Synthesis', {}, { timeout: SCAN_TIMEOUT });
+    await waitFor(() => expect(mockAudit).toHaveBeenCalled());
+    expect(mockAudit.mock.calls[0][0].stats.ratio).toBe(1.62);
+  });
+
+  it('clears pixel values when a real unit is picked', async () => {
+    jest.spyOn(segmentation, 'detectSilhouette').mockReturnValue({
+      box: { x: 40, y: 20, width: 300, height: 486 }, contour: [], horizontalEdges: [], verticalEdges: [], coverage: 0.4
+    });
+    const user = userEvent.setup();
+    const { container } = render(<App />);
+
+    await user.upload(container.querySelector('input[type="file"]'), new File(['chair'], 'chair.png', { type: 'image/png' }));
+    await screen.findByDisplayValue('486');
+    await user.click(screen.getByRole('button', { name: 'in' }));
+
+    expect(screen.getByText('Height (in)')).toBeInTheDocument();
+    expect(screen.queryByDisplayValue('486')).not.toBeInTheDocument();
+  });
+
+  it('keeps typed dimensions over the silhouette', async () => {
+    jest.spyOn(segmentation, 'detectSilhouette').mockReturnValue({
+      box: { x: 40, y: 20, width: 300, height: 486 }, contour: [], horizontalEdges: [], verticalEdges: [], coverage: 0.4
+    });
+    const user = userEvent.setup();
+    const { container } = render(<App />);
+
+    await user.type(screen.getByPlaceholderText('190.00'), '180');
+    await user.type(screen.getByPlaceholderText('117.00'), '90');
+    await user.upload(container.querySelector('input[type="file"]'), new File(['chair'], 'chair.png', { type: 'image/png' }));
+
+    expect(await screen.findByText(/Silhouette detected/)).toBeInTheDocument();
+    expect(screen.getByDisplayValue('180')).toBeInTheDocument();
+    expect(screen.getByText('Height (cm)')).toBeInTheDocument();
+  });
+
+  it('holds the scan until every added view is measured', async () => {
+    window.Image.undecodable = ['broken side'];
+    const user = userEvent.setup();
+    const { container } = render(<App />);
+
+    await user.upload(container.querySelector('input[type="file"]'), new File(['chair'], 'chair.png', { type: 'image/png' }));
+    await user.type(screen.getByPlaceholderText('190.00'), '161.8');
+    await user.type(screen.getByPlaceholderText('117.00'), '100');
+    const [sideInput] = container.querySelectorAll('input[type="file"]');
+    await user.upload(sideInput, new File(['broken side'], 'side.png', { type: 'image/png' }));
+
+    expect(await screen.findByText('Unreadable')).toHaveAttribute('title', 'Could not decode side.png');
+    expect(screen.getByRole('button', { name: 'Execute Audit' })).toBeDisabled();
+
+    await user.click(screen.getByTitle('Remove side view'));
+    expect(screen.getByRole('button', { name: 'Execute Audit' })).toBeEnabled();
+  });
+
+  it('reports a view that cannot be prepared for the critique', async () => {
+    const user = userEvent.setup();
+    const { container } = render(<App />);
+
+    await user.upload(container.querySelector('input[type="file"]'), new File(['chair'], 'chair.png', { type: 'image/png' }));
+    await user.type(screen.getByPlaceholderText('190.00'), '161.8');
+    await user.type(screen.getByPlaceholderText('117.00'), '100');
+    const [sideInput] = container.querySelectorAll('input[type="file"]');
+    await user.upload(sideInput, new File(['side'], 'side.png', { type: 'image/png' }));
+    await screen.findByText('1294 × 800 px');
+
+    window.Image.undecodable = ['side'];
+    await user.click(screen.getByRole('button', { name: 'Execute Audit' }));
+
+    expect(await screen.findByText('Could not decode side.png', {}, { timeout: SCAN_TIMEOUT })).toBeInTheDocument();
+    expect(mockAudit).not.toHaveBeenCalled();
+  });
+
+  it('keeps the streamed text when the critique is stopped', async () => {
+    mockAudit.mockImplementation(({ onText, signal }) => new Promise((resolve, reject) => {
+      onText('{"composition": "A poised, upright');
+      signal.addEventListener('abort', () => reject(new AuditError('ABORTED')));
+    }));
+    const user = userEvent.setup();
+    const { container } = render(<App />);
+
+    await uploadAndScan(user, container);
+    await screen.findByText('A poised, upright');
+    await user.click(screen.getByRole('button', { name: /Stop/ }));
+
+    expect(screen.getByText('Critique generation stopped.')).toBeInTheDocument();
+    expect(screen.getByText('A poised, upright')).toBeInTheDocument();
+  });
+});
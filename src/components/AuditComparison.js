@@ -0,0 +1,60 @@
+import React from 'react';
+import { ArrowLeft } from 'lucide-react';
+import { renderSafely } from '../lib/format';
+import { DEFAULT_PROFILE } from '../lib/ai';
+import { formatDimensions } from '../lib/units';
+
+/**
+ * Side-by-side columns of saved audits, with the best score highlighted.
+ */
+export default function AuditComparison({ audits, onClose }) {
+  const best = Math.max(...audits.map(a => a.analysis.score));
+
+  return (
+    <div className="bg-white/[0.03] backdrop-blur-[20px] border border-white/20 rounded-[3rem] p-10 shadow-2xl space-y-8">
+      <button
+        onClick={onClose}
+        className="flex items-center gap-3 text-[10px] font-black text-white/40 hover:text-white uppercase tracking-[0.3em] transition-colors"
+      >
+        <ArrowLeft className="w-4 h-4" /> Back to Archive
+      </button>
+
+      <div className="grid gap-6" style={{ gridTemplateColumns: `repeat(${audits.length}, minmax(0, 1fr))` }}>
+        {audits.map(audit => (
+          <div key={audit.id} className="space-y-5 p-6 rounded-[2rem] border border-white/10 bg-white/[0.02]">
+            {audit.thumbnail && <img src={audit.thumbnail} alt={audit.fileName} className="w-full aspect-square object-contain rounded-2xl bg-black" />}
+            <div>
+              <p className="text-sm font-bold text-white truncate">{audit.fileName}</p>
+              {audit.profile && <p className="text-[9px] font-black uppercase tracking-widest text-white/30">{audit.profile.name}</p>}
+              <p className="text-[10px] text-white/30 font-mono">{new Date(audit.createdAt).toLocaleString()}</p>
+            </div>
+            <div className="flex items-baseline gap-2">
+              <span className={`text-6xl font-black tracking-tighter ${audit.analysis.score === best ? 'text-[#d4af37]' : 'text-white'}`}>
+                {audit.analysis.score}
+              </span>
+              <span className="text-lg font-bold text-white/20">/ 100</span>
+            </div>
+            <div className="grid grid-cols-3 gap-2 text-[10px] font-mono">
+              <span className="text-white/60">{audit.analysis.ratio}</span>
+              <span className="text-white/40">{audit.analysis.targetSymbol} {audit.analysis.target}</span>
+              <span className={Math.abs(audit.analysis.variance) > 10 ? 'text-orange-500' : 'text-cyan-400'}>{audit.analysis.variance}%</span>
+            </div>
+            {audit.dimensions && (
+              <p className="text-[10px] text-white/30 font-mono">{formatDimensions(audit.dimensions)}</p>
+            )}
+            {audit.volume?.volumetricScore !== undefined && audit.volume.volumetricScore !== null && (
+              <p className="text-[10px] text-white/30 font-mono">Volumetric {audit.volume.volumetricScore}</p>
+            )}
+            <p className="text-[10px] font-black uppercase tracking-widest text-cyan-400">{renderSafely(audit.aiReport?.verdict)}</p>
+            {(audit.profile || DEFAULT_PROFILE).fields.map(({ key, title }) => (
+              <div key={key} className="space-y-1">
+                <h4 className="text-[9px] font-black uppercase tracking-[0.3em] text-white/30">{title}</h4>
+                <p className="text-xs leading-relaxed text-white/60 italic">{renderSafely(audit.aiReport?.[key])}</p>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
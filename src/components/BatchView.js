@@ -0,0 +1,247 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ArrowDown, ArrowUp, FileSpreadsheet, Layers, Play, RotateCcw, Square, X } from 'lucide-react';
+import {
+  auditFile, collectDroppedFiles, isImageFile, isManifestFile, manifestKey, parseManifest, runQueue
+} from '../lib/batch';
+import { createThumbnail, saveAudit } from '../lib/history';
+import { AuditError, describeAuditError } from '../lib/ai';
+import { renderSafely } from '../lib/format';
+
+const STATUS_STYLES = {
+  queued: 'text-white/30',
+  measuring: 'text-cyan-400 animate-pulse',
+  critiquing: 'text-yellow-500 animate-pulse',
+  done: 'text-[#d4af37]',
+  failed: 'text-rose-400'
+};
+
+const COLUMNS = [
+  { key: 'name', label: 'File', value: item => item.name.toLowerCase() },
+  { key: 'dimensions', label: 'H × W', value: item => item.dimensions?.height ?? -1 },
+  { key: 'ratio', label: 'Ratio', value: item => item.analysis?.ratio ?? -1 },
+  { key: 'score', label: 'Score', value: item => item.analysis?.score ?? -1 },
+  { key: 'verdict', label: 'Verdict', value: item => String(item.aiReport?.verdict ?? '').toLowerCase() },
+  { key: 'status', label: 'Status', value: item => item.status }
+];
+
+let nextItemId = 0;
+
+// Module-level so the initial-files effect does not depend on a fresh closure.
+const ingestFiles = (files, setItems, setManifest) => {
+  files.filter(isManifestFile).forEach(file => {
+    file.text().then(text => setManifest(current => new Map([...current, ...parseManifest(text)])));
+  });
+  const images = files.filter(isImageFile);
+  setItems(current => {
+    const known = new Set(current.map(item => `${item.name}:${item.file.size}`));
+    const added = images
+      .filter(file => !known.has(`${file.name}:${file.size}`))
+      .map(file => ({ id: ++nextItemId, file, name: file.name, status: 'queued' }));
+    return [...current, ...added];
+  });
+};
+
+/**
+ * Catalogue mode: many images (and an optional filename,height,width CSV)
+ * audited through a bounded-concurrency queue into a sortable table.
+ */
+export default function BatchView({ initialFiles, ratioOptions, provider, profile, onClose }) {
+  const [items, setItems] = useState([]);
+  const [manifest, setManifest] = useState(new Map());
+  const [concurrency, setConcurrency] = useState(3);
+  const [isRunning, setIsRunning] = useState(false);
+  const [sort, setSort] = useState({ key: 'name', direction: 1 });
+  const [isDragging, setIsDragging] = useState(false);
+  const cancelRef = useRef(false);
+  const abortRef = useRef(null);
+
+  const ingest = (files) => ingestFiles(files, setItems, setManifest);
+
+  useEffect(() => {
+    if (initialFiles) ingestFiles(initialFiles, setItems, setManifest);
+  }, [initialFiles]);
+
+  const update = (id, patch) => {
+    setItems(current => current.map(item => (item.id === id ? { ...item, ...patch } : item)));
+  };
+
+  const worker = async (item) => {
+    update(item.id, { status: 'measuring', error: null });
+    try {
+      const result = await auditFile(item.file, {
+        manifestDimensions: manifest.get(manifestKey(item.name)),
+        ratioOptions,
+        provider,
+        profile,
+        signal: abortRef.current.signal,
+        onStage: patch => update(item.id, patch)
+      });
+      update(item.id, { status: 'done', ...result });
+      createThumbnail(item.file)
+        .then(thumbnail => saveAudit({ createdAt: Date.now(), fileName: item.name, thumbnail, harmonics: null, ...result }))
+        .catch(() => {});
+    } catch (e) {
+      // Stopped mid-critique: back to the queue rather than marked failed.
+      if (e.code === 'ABORTED') update(item.id, { status: 'queued', error: null });
+      else update(item.id, { status: 'failed', error: e instanceof AuditError ? describeAuditError(e) : e.message });
+    }
+  };
+
+  const run = async (targets) => {
+    if (!targets.length) return;
+    cancelRef.current = false;
+    abortRef.current = new AbortController();
+    setIsRunning(true);
+    targets.forEach(item => update(item.id, { status: 'queued', error: null }));
+    await runQueue(targets, worker, { concurrency, isCancelled: () => cancelRef.current });
+    setIsRunning(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    collectDroppedFiles(e.dataTransfer).then(ingest);
+  };
+
+  const column = COLUMNS.find(c => c.key === sort.key);
+  const sorted = [...items].sort((a, b) => {
+    const va = column.value(a);
+    const vb = column.value(b);
+    return (va < vb ? -1 : va > vb ? 1 : 0) * sort.direction;
+  });
+
+  const finished = items.filter(item => item.status === 'done' || item.status === 'failed').length;
+  const failed = items.filter(item => item.status === 'failed');
+  const pending = items.filter(item => item.status !== 'done');
+
+  return (
+    <div className="bg-white/[0.03] backdrop-blur-[20px] border border-white/20 rounded-[3rem] p-10 shadow-2xl space-y-8">
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center gap-4">
+          <div className="p-3 bg-cyan-500 rounded-2xl shadow-[0_0_30px_rgba(0,217,255,0.4)]">
+            <Layers className="w-6 h-6 text-black" />
+          </div>
+          <div>
+            <h3 className="text-2xl font-black text-white uppercase italic tracking-tighter">Catalogue Audit</h3>
+            <p className="text-[10px] text-white/30 font-bold uppercase tracking-[0.3em] mt-1">
+              {items.length} Assets • {manifest.size} Manifest Rows • {profile.name}
+            </p>
+          </div>
+        </div>
+        <button onClick={onClose} className="p-3 rounded-2xl border border-white/10 bg-white/5 hover:bg-white/10 text-white/60 transition-all">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div
+        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        className={`relative flex items-center justify-center gap-4 py-8 border border-dashed rounded-[2rem] transition-all ${
+          isDragging ? 'border-cyan-400 bg-cyan-400/5' : 'border-white/20 bg-white/[0.02]'
+        }`}
+      >
+        <input
+          type="file"
+          multiple
+          accept="image/*,.csv,text/csv"
+          onChange={(e) => ingest(Array.from(e.target.files || []))}
+          className="absolute inset-0 opacity-0 cursor-pointer"
+        />
+        <FileSpreadsheet className="w-5 h-5 text-cyan-400" />
+        <p className="text-white/40 text-[10px] uppercase tracking-widest font-semibold">
+          Drop images, folders or a filename,height,width CSV
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="text-[10px] font-black text-white/40 uppercase tracking-[0.3em]">Concurrency</label>
+        <select
+          value={concurrency}
+          disabled={isRunning}
+          onChange={(e) => setConcurrency(Number(e.target.value))}
+          className="bg-black/40 border border-white/10 rounded-xl px-3 py-2 text-white text-xs font-mono focus:outline-none"
+        >
+          {[1, 2, 3, 4, 6].map(n => <option key={n} value={n}>{n}</option>)}
+        </select>
+        <div className="flex-1" />
+        {isRunning ? (
+          <button
+            onClick={() => {
+              cancelRef.current = true;
+              abortRef.current.abort();
+            }}
+            className="px-5 py-3 rounded-2xl border border-white/10 bg-white/5 hover:bg-white/10 text-white/60 font-black uppercase tracking-[0.3em] text-[10px] flex items-center gap-3 transition-all"
+          >
+            <Square className="w-4 h-4" /> Stop
+          </button>
+        ) : (
+          <>
+            {failed.length > 0 && (
+              <button
+                onClick={() => run(failed)}
+                className="px-5 py-3 rounded-2xl border border-white/10 bg-white/5 hover:bg-white/10 text-white/60 font-black uppercase tracking-[0.3em] text-[10px] flex items-center gap-3 transition-all"
+              >
+                <RotateCcw className="w-4 h-4" /> Retry {failed.length}
+              </button>
+            )}
+            <button
+              onClick={() => run(pending)}
+              disabled={!pending.length}
+              className="px-5 py-3 rounded-2xl bg-cyan-500 text-black font-black uppercase tracking-[0.3em] text-[10px] flex items-center gap-3 disabled:opacity-30 transition-all"
+            >
+              <Play className="w-4 h-4" /> Run {pending.length}
+            </button>
+          </>
+        )}
+      </div>
+
+      {items.length > 0 && (
+        <div className="w-full h-1 bg-white/10 rounded-full overflow-hidden">
+          <div className="h-full bg-cyan-500 transition-all duration-300" style={{ width: `${(finished / items.length) * 100}%` }} />
+        </div>
+      )}
+
+      {items.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left">
+            <thead>
+              <tr>
+                {COLUMNS.map(c => (
+                  <th key={c.key} className="pb-4 pr-4">
+                    <button
+                      onClick={() => setSort({ key: c.key, direction: sort.key === c.key ? -sort.direction : 1 })}
+                      className="flex items-center gap-1 text-[9px] font-black text-white/30 hover:text-white uppercase tracking-[0.2em]"
+                    >
+                      {c.label}
+                      {sort.key === c.key && (sort.direction > 0 ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />)}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="text-xs font-mono">
+              {sorted.map(item => (
+                <tr key={item.id} className="border-t border-white/5">
+                  <td className="py-3 pr-4 text-white/70 max-w-[14rem] truncate">{item.name}</td>
+                  <td className="py-3 pr-4 text-white/50">
+                    {item.dimensions ? `${item.dimensions.height} × ${item.dimensions.width}` : '—'}
+                    {item.dimensions && <span className="ml-2 text-[9px] text-white/20 uppercase">{item.dimensions.source}</span>}
+                  </td>
+                  <td className="py-3 pr-4 text-white/50">{item.analysis?.ratio ?? '—'}</td>
+                  <td className={`py-3 pr-4 font-black ${item.analysis?.score >= 90 ? 'text-[#d4af37]' : 'text-white'}`}>
+                    {item.analysis?.score ?? '—'}
+                  </td>
+                  <td className="py-3 pr-4 text-cyan-400/80 max-w-[12rem] truncate">{renderSafely(item.aiReport?.verdict) || '—'}</td>
+                  <td className={`py-3 text-[10px] font-black uppercase tracking-widest ${STATUS_STYLES[item.status]}`} title={item.error || ''}>
+                    {item.status}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import BatchView from './BatchView';
+import { DEFAULT_PROFILE } from '../lib/ai';
+
+const image = (name, content = name) => new File([content], name, { type: 'image/png' });
+
+const renderBatch = (files) => render(
+  <BatchView initialFiles={files} ratioOptions={{ target: 'phi' }} provider={null} profile={DEFAULT_PROFILE} onClose={() => {}} />
+);
+
+const row = name => screen.getByText(name).closest('tr');
+
+describe('BatchView', () => {
+  it('marks an undecodable image as failed and finishes the run', async () => {
+    window.Image.undecodable = ['corrupt'];
+    const user = userEvent.setup();
+    renderBatch([image('chair.png'), image('broken.png', 'corrupt'), image('table.png')]);
+
+    await user.click(screen.getByRole('button', { name: /Run 3/ }));
+
+    const failed = await within(row('broken.png')).findByText('failed');
+    expect(failed).toHaveAttribute('title', 'Could not decode broken.png');
+    expect(await within(row('chair.png')).findByText('done')).toBeInTheDocument();
+    expect(await within(row('table.png')).findByText('done')).toBeInTheDocument();
+    expect(await screen.findByRole('button', { name: /Retry 1/ })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /Stop/ })).not.toBeInTheDocument();
+  });
+});
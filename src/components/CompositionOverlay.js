@@ -0,0 +1,70 @@
+import React from 'react';
+import { goldenSubdivision, gridLines, GRIDS } from '../lib/composition';
+
+const GRID_STYLES = {
+  thirds: { stroke: '#ffffff', dash: '2 6' },
+  phi: { stroke: '#d4af37', dash: '6 4' }
+};
+
+/**
+ * Golden subdivision, spiral and grids drawn over the subject's box in
+ * the image's natural pixel space. Grid lines with an edge on them are
+ * highlighted in cyan.
+ */
+export default function CompositionOverlay({ imageSize, box, overlays, flip, alignments }) {
+  const { squares, spiral } = goldenSubdivision(box, { flip });
+  const aligned = new Set(alignments.map(a => `${a.kind}:${a.axis}:${a.line}`));
+
+  return (
+    <svg
+      viewBox={`0 0 ${imageSize.width} ${imageSize.height}`}
+      preserveAspectRatio="xMidYMid meet"
+      className="absolute inset-0 w-full h-full pointer-events-none opacity-70 drop-shadow-[0_0_15px_rgba(212,175,55,0.8)]"
+    >
+      {overlays.rectangles && (
+        <>
+          <rect
+            x={box.x} y={box.y} width={box.width} height={box.height}
+            fill="none" stroke="#d4af37" strokeWidth="1" vectorEffect="non-scaling-stroke"
+          />
+          {squares.map((s, i) => (
+            <rect
+              key={i}
+              x={s.x} y={s.y} width={s.width} height={s.height}
+              fill="none" stroke="#d4af37" strokeWidth="0.8" strokeDasharray="2 2" strokeOpacity={1 - i * 0.08}
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+        </>
+      )}
+
+      {overlays.spiral && (
+        <path
+          key={spiral}
+          d={spiral}
+          pathLength="400"
+          fill="none" stroke="#d4af37" strokeWidth="1.5" vectorEffect="non-scaling-stroke"
+          className="animate-[draw_3s_ease-out_forwards]"
+          style={{ strokeDasharray: 400, strokeDashoffset: 400 }}
+        />
+      )}
+
+      {Object.keys(GRIDS).filter(kind => overlays[kind]).map(kind => {
+        const lines = gridLines(box, kind);
+        const style = (axis, line) => (aligned.has(`${kind}:${axis}:${line}`)
+          ? { stroke: '#00d9ff', strokeWidth: 2, strokeDasharray: 'none' }
+          : { stroke: GRID_STYLES[kind].stroke, strokeWidth: 1, strokeDasharray: GRID_STYLES[kind].dash, strokeOpacity: 0.6 });
+        return (
+          <g key={kind}>
+            {lines.vertical.map(x => (
+              <line key={`v${x}`} x1={x} y1={box.y} x2={x} y2={box.y + box.height} {...style('vertical', x)} vectorEffect="non-scaling-stroke" />
+            ))}
+            {lines.horizontal.map(y => (
+              <line key={`h${y}`} x1={box.x} y1={y} x2={box.x + box.width} y2={y} {...style('horizontal', y)} vectorEffect="non-scaling-stroke" />
+            ))}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
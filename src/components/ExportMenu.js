@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { FileImage, FileJson, FileText } from 'lucide-react';
+import { exportJson, exportPdf, exportPng } from '../lib/exporters';
+
+const FORMATS = [
+  { id: 'pdf', label: 'PDF', icon: FileText, run: exportPdf },
+  { id: 'json', label: 'JSON', icon: FileJson, run: exportJson },
+  { id: 'png', label: 'PNG', icon: FileImage, run: exportPng }
+];
+
+/**
+ * Download buttons for the current audit: report PDF, raw JSON and the
+ * annotated photo.
+ */
+export default function ExportMenu({ audit }) {
+  const [busy, setBusy] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  const run = async ({ id, run: exporter }) => {
+    setBusy(id);
+    setFailed(false);
+    try {
+      await exporter(audit);
+    } catch (e) {
+      setFailed(true);
+    }
+    setBusy(null);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-3 gap-3">
+        {FORMATS.map(format => {
+          const Icon = format.icon;
+          return (
+            <button
+              key={format.id}
+              onClick={() => run(format)}
+              disabled={!!busy}
+              className="py-4 rounded-2xl border border-white/10 bg-white/5 hover:bg-white/10 text-white/60 font-black uppercase tracking-[0.3em] text-[10px] flex items-center justify-center gap-3 disabled:opacity-30 transition-all"
+            >
+              <Icon className={`w-4 h-4 ${busy === format.id ? 'animate-pulse text-cyan-400' : ''}`} /> {format.label}
+            </button>
+          );
+        })}
+      </div>
+      {failed && (
+        <p className="text-rose-400 text-[10px] font-bold uppercase tracking-widest text-center">
+          Export failed. Try again.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ExportMenu from './ExportMenu';
+
+const audit = {
+  file: new File(['chair'], 'chair.png', { type: 'image/png' }),
+  fileName: 'chair.png',
+  analysis: { score: 92, ratio: 1.62, target: 1.618, targetSymbol: 'φ' },
+  aiReport: null,
+  measurements: { box: null, segments: [], reference: null },
+  silhouette: null
+};
+
+// jsdom's Blob has no text().
+const readBlob = blob => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+describe('ExportMenu', () => {
+  it('downloads the annotated PNG once it is encoded', async () => {
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    const user = userEvent.setup();
+    render(<ExportMenu audit={audit} />);
+
+    await user.click(screen.getByRole('button', { name: /PNG/ }));
+
+    await waitFor(() => expect(click).toHaveBeenCalled());
+    expect(URL.createObjectURL).toHaveBeenCalledWith(expect.any(Blob));
+    expect(screen.queryByText('Export failed. Try again.')).not.toBeInTheDocument();
+  });
+
+  it('exports the JSON of an audit without a critique', async () => {
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    const user = userEvent.setup();
+    render(<ExportMenu audit={audit} />);
+
+    await user.click(screen.getByRole('button', { name: /JSON/ }));
+
+    await waitFor(() => expect(click).toHaveBeenCalled());
+    const [blob] = URL.createObjectURL.mock.calls[0];
+    expect(JSON.parse(await readBlob(blob))).toMatchObject({ fileName: 'chair.png', aiReport: null });
+  });
+
+  it('reports a PNG the browser cannot encode', async () => {
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    HTMLCanvasElement.prototype.toBlob.mockImplementation(callback => callback(null));
+    const user = userEvent.setup();
+    render(<ExportMenu audit={audit} />);
+
+    await user.click(screen.getByRole('button', { name: /PNG/ }));
+
+    expect(await screen.findByText('Export failed. Try again.')).toBeInTheDocument();
+    expect(click).not.toHaveBeenCalled();
+    expect(screen.getByRole('button', { name: /PNG/ })).toBeEnabled();
+  });
+});
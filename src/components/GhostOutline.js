@@ -0,0 +1,21 @@
+import React from 'react';
+
+/**
+ * Dashed outline of the what-if dimensions over the subject, in the
+ * image's natural pixel space.
+ */
+export default function GhostOutline({ imageSize, box }) {
+  return (
+    <svg
+      viewBox={`0 0 ${imageSize.width} ${imageSize.height}`}
+      preserveAspectRatio="xMidYMid meet"
+      className="absolute inset-0 w-full h-full pointer-events-none drop-shadow-[0_0_10px_rgba(0,217,255,0.8)]"
+    >
+      <rect
+        x={box.x} y={box.y} width={box.width} height={box.height}
+        fill="#00d9ff" fillOpacity="0.06" stroke="#00d9ff" strokeWidth="1.5" strokeDasharray="8 6"
+        vectorEffect="non-scaling-stroke"
+      />
+    </svg>
+  );
+}
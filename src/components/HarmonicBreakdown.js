@@ -0,0 +1,49 @@
+import React from 'react';
+
+/**
+ * Composite harmonic score, best-fitting progression and the in/out
+ * status of each adjacent segment pair.
+ */
+export default function HarmonicBreakdown({ harmonics }) {
+  const { score, progression, pairs, breakdown } = harmonics;
+
+  return (
+    <div className="mt-4 space-y-4 not-italic">
+      <div className="flex items-baseline justify-between">
+        <span className="text-[9px] font-black text-white/30 uppercase tracking-[0.2em]">Harmonic Score</span>
+        <span className={`text-2xl font-black font-mono tracking-tighter ${score >= 90 ? 'text-[#d4af37]' : 'text-white'}`}>{score}</span>
+      </div>
+
+      {progression && (
+        <p className="text-[10px] font-bold uppercase tracking-widest text-cyan-400/80">
+          {progression.label} progression • fit {progression.fit} • {progression.detail}
+        </p>
+      )}
+
+      <ul className="space-y-2">
+        {pairs.map((pair, i) => (
+          <li key={i} className="flex items-center justify-between gap-3 text-[10px] font-mono">
+            <span className="text-white/50 truncate">{pair.from} → {pair.to}</span>
+            <span className="text-white/70">{pair.ratio} / {pair.targetSymbol} {pair.target}</span>
+            <span className={`px-2 py-0.5 rounded-full font-black uppercase tracking-widest ${
+              pair.inProportion ? 'bg-[#d4af37]/20 text-[#d4af37]' : 'bg-orange-500/10 text-orange-500'
+            }`}>
+              {pair.inProportion ? 'In' : 'Out'} {pair.score}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex h-2 rounded-full overflow-hidden bg-white/5">
+        {breakdown.map((segment, i) => (
+          <div
+            key={i}
+            title={`${segment.label}: ${segment.share}%${segment.multiple ? ` • ×${segment.multiple}` : ''} • ${segment.score}`}
+            className={`h-full border-r border-black/60 ${segment.score >= 90 ? 'bg-[#d4af37]' : 'bg-cyan-500/60'}`}
+            style={{ width: `${segment.share}%` }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from 'react';
+import { Columns, History, Search, Trash2, X } from 'lucide-react';
+import { deleteAudit, listAudits, matchesQuery } from '../lib/history';
+import { renderSafely } from '../lib/format';
+import AuditComparison from './AuditComparison';
+
+// Shown in place of the verdict while an offline critique is outstanding.
+const CRITIQUE_STATUS = { queued: 'Critique queued', failed: 'Critique failed' };
+
+/**
+ * Saved audits with search, delete and multi-select comparison.
+ */
+export default function HistoryView({ onClose }) {
+  const [audits, setAudits] = useState([]);
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [comparing, setComparing] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [deleteError, setDeleteError] = useState(null);
+
+  useEffect(() => {
+    listAudits()
+      .then(setAudits)
+      .catch(() => setLoadError('Audit archive unavailable in this browser.'));
+  }, []);
+
+  const toggle = (id) => {
+    setSelected(selected.includes(id) ? selected.filter(s => s !== id) : [...selected, id]);
+  };
+
+  const remove = async (id) => {
+    setDeleteError(null);
+    try {
+      await deleteAudit(id);
+    } catch (e) {
+      setDeleteError('Could not delete the audit. Try again.');
+      // The delete may have got partway; show what is actually stored.
+      listAudits().then(setAudits).catch(() => {});
+      return;
+    }
+    setAudits(current => current.filter(a => a.id !== id));
+    setSelected(current => current.filter(s => s !== id));
+  };
+
+  if (comparing) {
+    return (
+      <AuditComparison
+        audits={audits.filter(a => selected.includes(a.id))}
+        onClose={() => setComparing(false)}
+      />
+    );
+  }
+
+  const visible = audits.filter(a => matchesQuery(a, query));
+
+  return (
+    <div className="bg-white/[0.03] backdrop-blur-[20px] border border-white/20 rounded-[3rem] p-10 shadow-2xl space-y-8">
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center gap-4">
+          <div className="p-3 bg-cyan-500 rounded-2xl shadow-[0_0_30px_rgba(0,217,255,0.4)]">
+            <History className="w-6 h-6 text-black" />
+          </div>
+          <div>
+            <h3 className="text-2xl font-black text-white uppercase italic tracking-tighter">Audit Archive</h3>
+            <p className="text-[10px] text-white/30 font-bold uppercase tracking-[0.3em] mt-1">{audits.length} Stored Sessions</p>
+          </div>
+        </div>
+        <button onClick={onClose} className="p-3 rounded-2xl border border-white/10 bg-white/5 hover:bg-white/10 text-white/60 transition-all">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex gap-3">
+        <div className="flex-1 flex items-center gap-3 bg-black/40 border border-white/10 rounded-2xl px-5 focus-within:border-cyan-500/50 transition-all">
+          <Search className="w-4 h-4 text-white/30" />
+          <input
+            placeholder="Search file, verdict or critique"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            className="flex-1 bg-transparent py-4 text-white text-sm font-mono placeholder:text-white/20 focus:outline-none"
+          />
+        </div>
+        <button
+          onClick={() => setComparing(true)}
+          disabled={selected.length < 2}
+          className="px-6 rounded-2xl bg-cyan-500 text-black font-black uppercase tracking-[0.3em] text-[10px] flex items-center gap-3 disabled:opacity-30 transition-all"
+        >
+          <Columns className="w-4 h-4" /> Compare {selected.length || ''}
+        </button>
+      </div>
+
+      {(loadError || deleteError) && (
+        <div className="p-4 bg-rose-500/10 border border-rose-500/20 rounded-2xl text-rose-400 text-xs font-bold uppercase tracking-widest text-center">
+          {loadError || deleteError}
+        </div>
+      )}
+
+      {!loadError && !visible.length && (
+        <p className="text-center text-white/30 text-xs font-bold uppercase tracking-widest py-12">
+          {audits.length ? 'No audits match this search.' : 'No audits stored yet.'}
+        </p>
+      )}
+
+      <ul className="space-y-3">
+        {visible.map(audit => (
+          <li
+            key={audit.id}
+            className={`flex items-center gap-5 p-4 rounded-[2rem] border transition-all ${
+              selected.includes(audit.id) ? 'bg-cyan-500/10 border-cyan-400/40' : 'bg-white/[0.02] border-white/5 hover:border-white/10'
+            }`}
+          >
+            <input
+              type="checkbox"
+              checked={selected.includes(audit.id)}
+              onChange={() => toggle(audit.id)}
+              className="w-4 h-4 accent-cyan-500"
+            />
+            {audit.thumbnail && <img src={audit.thumbnail} alt={audit.fileName} className="w-16 h-16 object-cover rounded-2xl border border-white/10" />}
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-bold text-white truncate">{audit.fileName}</p>
+              <p className="text-[10px] text-white/30 font-mono">{new Date(audit.createdAt).toLocaleString()}</p>
+              <p className="text-[10px] text-cyan-400/70 font-black uppercase tracking-widest truncate">
+                {renderSafely(audit.aiReport?.verdict || CRITIQUE_STATUS[audit.critiqueStatus] || '')}
+              </p>
+              {!audit.aiReport && audit.critiqueError && (
+                <p className="text-[10px] text-rose-400/80 font-bold uppercase tracking-widest truncate" title={audit.critiqueError}>
+                  {audit.critiqueError}
+                </p>
+              )}
+            </div>
+            <div className="text-right">
+              <p className={`text-3xl font-black font-mono tracking-tighter ${audit.analysis.score >= 90 ? 'text-[#d4af37]' : 'text-white'}`}>
+                {audit.analysis.score}
+              </p>
+              <p className="text-[9px] text-white/30 font-mono">{audit.analysis.ratio} / {audit.analysis.targetSymbol}</p>
+            </div>
+            <button onClick={() => remove(audit.id)} className="p-2 text-white/20 hover:text-rose-400 transition-colors">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import HistoryView from './HistoryView';
+import { deleteAudit, listAudits, matchesQuery } from '../lib/history';
+
+jest.mock('../lib/history');
+
+const audit = (id, extra = {}) => ({
+  id,
+  createdAt: id,
+  fileName: `piece-${id}.png`,
+  analysis: { score: 80, ratio: 1.5, targetSymbol: 'φ' },
+  aiReport: null,
+  ...extra
+});
+
+beforeEach(() => {
+  matchesQuery.mockReturnValue(true);
+});
+
+describe('HistoryView', () => {
+  it('keeps the audit and reports a failed delete', async () => {
+    listAudits.mockResolvedValue([audit(1), audit(2)]);
+    deleteAudit.mockRejectedValue(new Error('QuotaExceededError'));
+    const user = userEvent.setup();
+    render(<HistoryView onClose={() => {}} />);
+
+    await screen.findByText('piece-1.png');
+    await user.click(screen.getAllByRole('button').find(b => b.closest('li')?.textContent.includes('piece-1.png')));
+
+    expect(await screen.findByText('Could not delete the audit. Try again.')).toBeInTheDocument();
+    expect(screen.getByText('piece-1.png')).toBeInTheDocument();
+  });
+
+  it('removes a deleted audit', async () => {
+    listAudits.mockResolvedValue([audit(1), audit(2)]);
+    deleteAudit.mockResolvedValue();
+    const user = userEvent.setup();
+    render(<HistoryView onClose={() => {}} />);
+
+    await screen.findByText('piece-1.png');
+    await user.click(screen.getAllByRole('button').find(b => b.closest('li')?.textContent.includes('piece-1.png')));
+
+    expect(screen.queryByText('piece-1.png')).not.toBeInTheDocument();
+    expect(screen.getByText('piece-2.png')).toBeInTheDocument();
+  });
+
+  it('shows queued and failed critiques', async () => {
+    listAudits.mockResolvedValue([
+      audit(1, { critiqueStatus: 'queued' }),
+      audit(2, { critiqueStatus: 'failed', critiqueError: 'Critique request was rejected (400).' })
+    ]);
+    render(<HistoryView onClose={() => {}} />);
+
+    expect(await screen.findByText('Critique queued')).toBeInTheDocument();
+    expect(screen.getByText('Critique failed')).toBeInTheDocument();
+    expect(screen.getByText('Critique request was rejected (400).')).toBeInTheDocument();
+  });
+});
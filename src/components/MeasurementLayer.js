@@ -0,0 +1,112 @@
+import React, { useRef, useState } from 'react';
+import { clampPoint, distance, normalizeBox } from '../lib/measurement';
+
+const TOOL_COLORS = { box: '#00d9ff', caliper: '#d4af37', reference: '#f43f5e' };
+
+/**
+ * SVG overlay drawn in the image's natural pixel space. While a tool is
+ * active it captures pointer drags and commits them as a bounding box,
+ * a caliper segment or the reference segment.
+ */
+export default function MeasurementLayer({ imageSize, measurements, tool, onChange }) {
+  const svgRef = useRef(null);
+  const [draft, setDraft] = useState(null);
+
+  const unit = Math.max(imageSize.width, imageSize.height) / 200;
+
+  const toImagePoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return clampPoint({ x, y }, imageSize);
+  };
+
+  const handlePointerDown = (e) => {
+    if (!tool) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const start = toImagePoint(e);
+    setDraft({ start, end: start });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!draft) return;
+    setDraft({ ...draft, end: toImagePoint(e) });
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    setDraft(null);
+    if (distance(draft.start, draft.end) < unit) return;
+
+    if (tool === 'box') {
+      onChange({ ...measurements, box: normalizeBox(draft.start, draft.end) });
+    } else if (tool === 'caliper') {
+      const segment = {
+        id: Date.now(),
+        label: `Segment ${measurements.segments.length + 1}`,
+        start: draft.start,
+        end: draft.end
+      };
+      onChange({ ...measurements, segments: [...measurements.segments, segment] });
+    } else if (tool === 'reference') {
+      onChange({
+        ...measurements,
+        reference: {
+          start: draft.start,
+          end: draft.end,
+          realLength: measurements.reference?.realLength ?? '',
+          unit: measurements.reference?.unit
+        }
+      });
+    }
+  };
+
+  const renderSegment = (segment, color, key, label) => (
+    <g key={key}>
+      <line
+        x1={segment.start.x} y1={segment.start.y} x2={segment.end.x} y2={segment.end.y}
+        stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke"
+      />
+      <circle cx={segment.start.x} cy={segment.start.y} r={unit} fill={color} />
+      <circle cx={segment.end.x} cy={segment.end.y} r={unit} fill={color} />
+      {label && (
+        <text
+          x={(segment.start.x + segment.end.x) / 2 + unit * 1.5}
+          y={(segment.start.y + segment.end.y) / 2}
+          fill={color} fontSize={unit * 4} fontWeight="900" fontFamily="monospace"
+        >
+          {label}
+        </text>
+      )}
+    </g>
+  );
+
+  const draftBox = draft && tool === 'box' ? normalizeBox(draft.start, draft.end) : null;
+  const box = draftBox || measurements.box;
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${imageSize.width} ${imageSize.height}`}
+      preserveAspectRatio="xMidYMid meet"
+      className={`absolute inset-0 w-full h-full ${tool ? 'cursor-crosshair touch-none' : 'pointer-events-none'}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={() => setDraft(null)}
+    >
+      {box && (
+        <rect
+          x={box.x} y={box.y} width={box.width} height={box.height}
+          fill="rgba(0,217,255,0.06)" stroke={TOOL_COLORS.box} strokeWidth="2"
+          strokeDasharray="6 4" vectorEffect="non-scaling-stroke"
+        />
+      )}
+      {measurements.segments.map((segment, i) => renderSegment(segment, TOOL_COLORS.caliper, segment.id, i + 1))}
+      {measurements.reference && renderSegment(measurements.reference, TOOL_COLORS.reference, 'reference', 'REF')}
+      {draft && tool !== 'box' && renderSegment(draft, TOOL_COLORS[tool], 'draft')}
+    </svg>
+  );
+}
@@ -0,0 +1,128 @@
+import React from 'react';
+import { Crosshair, Ruler, Scan, Trash2 } from 'lucide-react';
+import { analyzeProportions } from '../lib/proportions';
+import { computeScale, formatLength, segmentLength, EMPTY_MEASUREMENTS } from '../lib/measurement';
+import { parseLength } from '../lib/units';
+import UnitSelector from './UnitSelector';
+
+const TOOLS = [
+  { id: 'box', label: 'Bounding Box', icon: Scan },
+  { id: 'caliper', label: 'Caliper', icon: Ruler },
+  { id: 'reference', label: 'Reference', icon: Crosshair }
+];
+
+/**
+ * Tool selection and readout for the measurement layer. Each caliper
+ * segment is scored against the one before it. Once the reference has a
+ * known length every readout is converted to `unit`.
+ */
+export default function MeasurementPanel({ measurements, tool, unit, ratioOptions, onToolChange, onUnitChange, onChange }) {
+  const scale = computeScale(measurements.reference, unit);
+  const { box, segments, reference } = measurements;
+  const referenceUnit = reference?.unit || unit;
+  const referenceError = reference && parseLength(reference.realLength, referenceUnit).error;
+
+  const updateSegment = (id, patch) => {
+    onChange({ ...measurements, segments: segments.map(s => (s.id === id ? { ...s, ...patch } : s)) });
+  };
+
+  const removeSegment = (id) => {
+    onChange({ ...measurements, segments: segments.filter(s => s.id !== id) });
+  };
+
+  return (
+    <div className="bg-white/[0.03] backdrop-blur-[20px] border border-white/20 rounded-[2.5rem] p-8 shadow-2xl space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <Ruler className="w-5 h-5 text-yellow-500" />
+          <h4 className="text-xs font-black text-white/60 uppercase tracking-[0.2em]">Measurement Layer</h4>
+        </div>
+        <button
+          onClick={() => onChange(EMPTY_MEASUREMENTS)}
+          className="text-[10px] font-black text-white/30 hover:text-rose-400 uppercase tracking-widest transition-colors"
+        >
+          Clear
+        </button>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        {TOOLS.map(({ id, label, icon: Icon }) => (
+          <button
+            key={id}
+            onClick={() => onToolChange(tool === id ? null : id)}
+            className={`flex flex-col items-center gap-2 py-3 rounded-2xl border text-[9px] font-black uppercase tracking-widest transition-all ${
+              tool === id ? 'bg-cyan-500 border-cyan-400 text-black' : 'bg-white/5 border-white/10 text-white/50 hover:bg-white/10'
+            }`}
+          >
+            <Icon className="w-4 h-4" />
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <label className="text-[10px] font-black text-white/40 uppercase tracking-[0.3em] ml-2">Reference Length</label>
+          <UnitSelector unit={unit} onChange={onUnitChange} compact />
+        </div>
+        <div className="relative">
+          <input
+            type="text"
+            inputMode="decimal"
+            placeholder={reference ? 'Known length' : 'Draw a reference first'}
+            disabled={!reference}
+            value={reference?.realLength ?? ''}
+            onChange={(e) => onChange({ ...measurements, reference: { ...reference, realLength: e.target.value, unit } })}
+            className={`w-full bg-black/40 border rounded-2xl px-5 py-3 pr-14 text-white font-mono placeholder:text-white/10 focus:outline-none disabled:opacity-40 transition-all ${
+              referenceError ? 'border-rose-400/60' : 'border-white/10 focus:border-cyan-500/50'
+            }`}
+          />
+          {reference && (
+            <span className="absolute right-5 top-1/2 -translate-y-1/2 text-[10px] font-black text-white/30 uppercase">{referenceUnit}</span>
+          )}
+        </div>
+        {referenceError && <p className="text-[10px] text-rose-400 font-bold uppercase tracking-widest ml-2">{referenceError}</p>}
+        {scale && (
+          <p className="text-[10px] text-cyan-400/70 font-bold uppercase tracking-widest ml-2">
+            Calibrated • 1 px = {scale.toPrecision(3)} {unit}
+          </p>
+        )}
+      </div>
+
+      {box && (
+        <div className="flex justify-between text-[10px] font-black uppercase tracking-widest text-cyan-400/80 font-mono">
+          <span>Box H {formatLength(box.height, scale, unit)}</span>
+          <span>W {formatLength(box.width, scale, unit)}</span>
+        </div>
+      )}
+
+      {segments.length > 0 && (
+        <ul className="space-y-2">
+          {segments.map((segment, i) => {
+            const length = segmentLength(segment);
+            const pair = i > 0 ? analyzeProportions(segmentLength(segments[i - 1]), length, ratioOptions) : null;
+            return (
+              <li key={segment.id} className="flex items-center gap-3 p-3 rounded-2xl bg-white/[0.02] border border-white/5">
+                <span className="text-[10px] font-black text-yellow-500 font-mono w-4">{i + 1}</span>
+                <input
+                  value={segment.label}
+                  onChange={(e) => updateSegment(segment.id, { label: e.target.value })}
+                  className="flex-1 min-w-0 bg-transparent text-xs text-white/70 font-bold focus:outline-none"
+                />
+                <span className="text-[10px] text-white/50 font-mono">{formatLength(length, scale, unit)}</span>
+                {pair && (
+                  <span className={`text-[10px] font-mono font-black ${pair.score >= 90 ? 'text-[#d4af37]' : 'text-white/30'}`}>
+                    {pair.ratio}:1
+                  </span>
+                )}
+                <button onClick={() => removeSegment(segment.id)} className="text-white/20 hover:text-rose-400 transition-colors">
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
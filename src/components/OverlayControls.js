@@ -0,0 +1,78 @@
+import React from 'react';
+import { FlipHorizontal, FlipVertical, Grid, Hash, Magnet, Shell, Square } from 'lucide-react';
+import { GRIDS } from '../lib/composition';
+
+const TOGGLES = [
+  { id: 'spiral', label: 'Spiral', icon: Shell },
+  { id: 'rectangles', label: 'Rectangles', icon: Square },
+  { id: 'thirds', label: 'Thirds', icon: Hash },
+  { id: 'phi', label: 'Phi Grid', icon: Grid }
+];
+
+/**
+ * Overlay toggles, spiral orientation and the list of edges that land on
+ * an enabled grid line.
+ */
+export default function OverlayControls({ overlays, flip, alignments, onOverlaysChange, onFlipChange }) {
+  const gridsOn = Object.keys(GRIDS).some(kind => overlays[kind]);
+
+  return (
+    <div className="bg-white/[0.03] backdrop-blur-[20px] border border-white/20 rounded-[2.5rem] p-8 shadow-2xl space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <Shell className="w-5 h-5 text-[#d4af37]" />
+          <h4 className="text-xs font-black text-white/60 uppercase tracking-[0.2em]">Composition Overlay</h4>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => onFlipChange({ ...flip, horizontal: !flip.horizontal })}
+            title="Flip spiral horizontally"
+            className={`p-2 rounded-xl border transition-all ${flip.horizontal ? 'bg-cyan-500 border-cyan-400 text-black' : 'bg-white/5 border-white/10 text-white/50 hover:bg-white/10'}`}
+          >
+            <FlipHorizontal className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => onFlipChange({ ...flip, vertical: !flip.vertical })}
+            title="Flip spiral vertically"
+            className={`p-2 rounded-xl border transition-all ${flip.vertical ? 'bg-cyan-500 border-cyan-400 text-black' : 'bg-white/5 border-white/10 text-white/50 hover:bg-white/10'}`}
+          >
+            <FlipVertical className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-4 gap-2">
+        {TOGGLES.map(({ id, label, icon: Icon }) => (
+          <button
+            key={id}
+            onClick={() => onOverlaysChange({ ...overlays, [id]: !overlays[id] })}
+            className={`flex flex-col items-center gap-2 py-3 rounded-2xl border text-[9px] font-black uppercase tracking-widest transition-all ${
+              overlays[id] ? 'bg-[#d4af37] border-[#d4af37] text-black' : 'bg-white/5 border-white/10 text-white/50 hover:bg-white/10'
+            }`}
+          >
+            <Icon className="w-4 h-4" />
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {gridsOn && (
+        <div className="space-y-2">
+          <div className="flex items-center gap-2 text-[10px] font-black text-white/40 uppercase tracking-[0.3em] ml-2">
+            <Magnet className="w-3 h-3 text-cyan-400" /> {alignments.length} Edges On Grid
+          </div>
+          {alignments.length > 0 && (
+            <ul className="space-y-1">
+              {alignments.map(a => (
+                <li key={`${a.kind}:${a.axis}:${a.line}`} className="flex justify-between text-[10px] font-mono text-white/50 px-2">
+                  <span className="text-cyan-400/80">{GRIDS[a.kind].label} {a.axis === 'horizontal' ? 'H' : 'V'} {a.fraction.toFixed(3)}</span>
+                  <span>±{(a.offset * 100).toFixed(1)}%</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import React, { useRef, useState } from 'react';
+import { Check, Eraser, X } from 'lucide-react';
+import { canvasToFile, loadImageCanvas } from '../lib/image';
+import { orderCorners, rectifyCanvas } from '../lib/homography';
+
+// Working resolution for the warp; output is capped separately in rectifyCanvas.
+const WARP_WIDTH = 2048;
+
+/**
+ * Lets the user mark the four corners of a known rectangle (tabletop,
+ * cabinet face) and warps the photo onto that rectangle's plane.
+ */
+export default function PerspectiveEditor({ file, imageUrl, onApply, onCancel }) {
+  const svgRef = useRef(null);
+  const [imageSize, setImageSize] = useState(null);
+  const [points, setPoints] = useState([]);
+  const [knownWidth, setKnownWidth] = useState('');
+  const [knownHeight, setKnownHeight] = useState('');
+  const [k1, setK1] = useState(0);
+  const [isWarping, setIsWarping] = useState(false);
+  const [failure, setFailure] = useState(null);
+
+  const unit = imageSize ? Math.max(imageSize.width, imageSize.height) / 150 : 1;
+
+  const handleClick = (e) => {
+    const svg = svgRef.current;
+    const pt = svg.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    const { x, y } = pt.matrixTransform(svg.getScreenCTM().inverse());
+    const point = { x, y };
+    setFailure(null);
+    if (points.length < 4) {
+      setPoints([...points, point]);
+      return;
+    }
+    // With all four placed, a click moves the nearest corner.
+    const nearest = points.reduce((best, p, i) => (
+      Math.hypot(p.x - x, p.y - y) < Math.hypot(points[best].x - x, points[best].y - y) ? i : best
+    ), 0);
+    setPoints(points.map((p, i) => (i === nearest ? point : p)));
+  };
+
+  const apply = async () => {
+    setIsWarping(true);
+    try {
+      const { canvas, scale } = await loadImageCanvas(file, WARP_WIDTH);
+      const aspect = parseFloat(knownWidth) / parseFloat(knownHeight);
+      const corners = points.map(p => ({ x: p.x * scale, y: p.y * scale }));
+      const output = rectifyCanvas(canvas, corners, { aspect: Number.isFinite(aspect) ? aspect : undefined, k1 });
+      if (!output) {
+        setFailure('Corners are degenerate. Mark a wider quadrilateral.');
+        return;
+      }
+      const name = `${file.name.replace(/\.[^.]+$/, '')}-rectified.png`;
+      onApply(await canvasToFile(output, name));
+    } catch (e) {
+      setFailure(`${e.message}. Try again or use another photo.`);
+    } finally {
+      setIsWarping(false);
+    }
+  };
+
+  const quad = points.length === 4 ? orderCorners(points) : points;
+
+  return (
+    <div className="w-full max-w-xl space-y-6 mb-10">
+      <div className="relative aspect-square rounded-[2rem] overflow-hidden border-4 border-white/10 bg-black">
+        <img
+          src={imageUrl}
+          alt="Rectify"
+          onLoad={(e) => setImageSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+          className="w-full h-full object-contain"
+        />
+        {imageSize && (
+          <svg
+            ref={svgRef}
+            viewBox={`0 0 ${imageSize.width} ${imageSize.height}`}
+            preserveAspectRatio="xMidYMid meet"
+            className="absolute inset-0 w-full h-full cursor-crosshair"
+            onClick={handleClick}
+          >
+            {quad.length > 1 && (
+              <polygon
+                points={quad.map(p => `${p.x},${p.y}`).join(' ')}
+                fill={quad.length === 4 ? 'rgba(0,217,255,0.1)' : 'none'}
+                stroke="#00d9ff" strokeWidth="2" vectorEffect="non-scaling-stroke"
+              />
+            )}
+            {points.map((p, i) => (
+              <circle key={i} cx={p.x} cy={p.y} r={unit} fill="#d4af37" stroke="#000" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+            ))}
+          </svg>
+        )}
+        <div className="absolute top-4 left-4 bg-black/60 border border-white/10 backdrop-blur-md px-4 py-2 rounded-full">
+          <span className="text-[10px] text-white/80 font-black uppercase tracking-widest">
+            {points.length < 4 ? `Mark corner ${points.length + 1} of 4` : 'Click to adjust nearest corner'}
+          </span>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <input
+          type="number"
+          placeholder="Known width (optional)"
+          value={knownWidth}
+          onChange={(e) => setKnownWidth(e.target.value)}
+          className="bg-black/40 border border-white/10 rounded-2xl px-5 py-3 text-white text-sm font-mono placeholder:text-white/20 focus:outline-none focus:border-cyan-500/50 transition-all"
+        />
+        <input
+          type="number"
+          placeholder="Known height (optional)"
+          value={knownHeight}
+          onChange={(e) => setKnownHeight(e.target.value)}
+          className="bg-black/40 border border-white/10 rounded-2xl px-5 py-3 text-white text-sm font-mono placeholder:text-white/20 focus:outline-none focus:border-cyan-500/50 transition-all"
+        />
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex justify-between text-[10px] font-black text-white/40 uppercase tracking-[0.3em] ml-2">
+          <span>Lens Correction (k1)</span>
+          <span className="font-mono text-cyan-400">{k1.toFixed(2)}</span>
+        </div>
+        <input
+          type="range" min="-0.3" max="0.3" step="0.01"
+          value={k1}
+          onChange={(e) => setK1(parseFloat(e.target.value))}
+          className="w-full accent-cyan-500"
+        />
+      </div>
+
+      {failure && (
+        <p className="text-rose-400 text-[10px] font-bold uppercase tracking-widest text-center">
+          {failure}
+        </p>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          onClick={onCancel}
+          className="flex-1 py-4 rounded-2xl border border-white/10 bg-white/5 hover:bg-white/10 text-white/60 font-black uppercase tracking-[0.3em] text-[10px] flex items-center justify-center gap-3 transition-all"
+        >
+          <X className="w-4 h-4" /> Cancel
+        </button>
+        <button
+          onClick={() => setPoints([])}
+          disabled={!points.length}
+          className="flex-1 py-4 rounded-2xl border border-white/10 bg-white/5 hover:bg-white/10 text-white/60 font-black uppercase tracking-[0.3em] text-[10px] flex items-center justify-center gap-3 disabled:opacity-30 transition-all"
+        >
+          <Eraser className="w-4 h-4" /> Clear
+        </button>
+        <button
+          onClick={apply}
+          disabled={points.length < 4 || isWarping}
+          className="flex-1 py-4 rounded-2xl bg-cyan-500 text-black font-black uppercase tracking-[0.3em] text-[10px] flex items-center justify-center gap-3 disabled:opacity-30 transition-all"
+        >
+          <Check className="w-4 h-4" /> {isWarping ? 'Warping' : 'Rectify'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { Copy, Download, Pencil, Plus, Save, Trash2, Upload, X } from 'lucide-react';
+import { BUILTIN_PROFILES, TEMPLATE_VARIABLES, validateProfile } from '../lib/ai';
+import { duplicateProfile, parseProfileImport, serializeProfiles } from '../lib/profileStore';
+import { downloadBlob } from '../lib/exporters';
+import { SECTION_ICONS } from './ReportSections';
+
+const INPUT = 'w-full bg-black/40 border border-white/10 rounded-2xl px-4 py-3 text-white text-xs font-mono placeholder:text-white/20 focus:outline-none focus:border-cyan-500/50 transition-all';
+const LABEL = 'text-[10px] font-black text-white/40 uppercase tracking-[0.3em] ml-2';
+const ICON_BUTTON = 'p-4 rounded-2xl border border-white/10 bg-white/5 hover:bg-white/10 text-white/60 disabled:opacity-30 transition-all';
+
+/**
+ * Critique profile picker with an inline editor. Built-in profiles are
+ * read-only and are duplicated before editing; custom ones are saved
+ * through `onProfilesChange`.
+ */
+export default function ProfilePanel({ profiles, profileId, onSelect, onProfilesChange }) {
+  const [draft, setDraft] = useState(null);
+  const [problems, setProblems] = useState([]);
+  const [notice, setNotice] = useState(null);
+
+  const custom = profiles.filter(p => !p.builtin);
+  const selected = profiles.find(p => p.id === profileId) || BUILTIN_PROFILES[0];
+
+  const edit = () => {
+    setDraft(selected.builtin ? duplicateProfile(selected) : { ...selected, fields: selected.fields.map(f => ({ ...f })) });
+    setProblems([]);
+    setNotice(null);
+  };
+
+  const save = () => {
+    const errors = validateProfile(draft);
+    if (errors.length) {
+      setProblems(errors);
+      return;
+    }
+    const exists = custom.some(p => p.id === draft.id);
+    onProfilesChange(exists ? custom.map(p => (p.id === draft.id ? draft : p)) : [...custom, draft]);
+    onSelect(draft.id);
+    setDraft(null);
+  };
+
+  const remove = () => {
+    onProfilesChange(custom.filter(p => p.id !== draft.id));
+    if (profileId === draft.id) onSelect(BUILTIN_PROFILES[0].id);
+    setDraft(null);
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    const { profiles: imported, problems: errors } = parseProfileImport(await file.text(), custom);
+    if (imported.length) {
+      onProfilesChange([...custom, ...imported]);
+      onSelect(imported[0].id);
+    }
+    setNotice(errors.length ? errors.join(' ') : `Imported ${imported.length} profile${imported.length === 1 ? '' : 's'}.`);
+  };
+
+  const exportSelected = () => {
+    const name = selected.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    downloadBlob(new Blob([serializeProfiles([selected])], { type: 'application/json' }), `${name}.profile.json`);
+  };
+
+  const updateField = (index, patch) => {
+    setDraft({ ...draft, fields: draft.fields.map((f, i) => (i === index ? { ...f, ...patch } : f)) });
+  };
+
+  return (
+    <div className="space-y-3">
+      <label className={LABEL}>Critique Profile</label>
+      <div className="flex gap-2">
+        <select
+          value={selected.id}
+          onChange={(e) => onSelect(e.target.value)}
+          disabled={!!draft}
+          className="flex-1 bg-black/40 border border-white/10 rounded-2xl px-6 py-4 text-white text-sm font-mono focus:outline-none focus:border-cyan-500/50 disabled:opacity-40 transition-all"
+        >
+          {profiles.map(p => <option key={p.id} value={p.id}>{p.name}{p.builtin ? '' : ' (custom)'}</option>)}
+        </select>
+        <button onClick={edit} disabled={!!draft} title={selected.builtin ? 'Duplicate to edit' : 'Edit profile'} className={ICON_BUTTON}>
+          {selected.builtin ? <Copy className="w-4 h-4" /> : <Pencil className="w-4 h-4" />}
+        </button>
+        <label title="Import profiles" className={`${ICON_BUTTON} relative cursor-pointer`}>
+          <Upload className="w-4 h-4" />
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={(e) => {
+              importFile(e.target.files?.[0]);
+              e.target.value = '';
+            }}
+            className="absolute inset-0 opacity-0 cursor-pointer"
+          />
+        </label>
+        <button onClick={exportSelected} title="Export profile" className={ICON_BUTTON}>
+          <Download className="w-4 h-4" />
+        </button>
+      </div>
+
+      {notice && <p className="text-[10px] text-cyan-400/80 font-bold uppercase tracking-widest ml-2">{notice}</p>}
+
+      {draft && (
+        <div className="space-y-4 p-6 rounded-[2rem] border border-white/10 bg-white/[0.02]">
+          <input placeholder="Profile name" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} className={INPUT} />
+
+          <div className="space-y-2">
+            <label className={LABEL}>System Prompt</label>
+            <textarea rows={3} value={draft.system} onChange={(e) => setDraft({ ...draft, system: e.target.value })} className={INPUT} />
+          </div>
+
+          <div className="space-y-2">
+            <label className={LABEL}>Prompt Template</label>
+            <textarea rows={3} value={draft.template} onChange={(e) => setDraft({ ...draft, template: e.target.value })} className={INPUT} />
+            <p className="text-[9px] text-white/30 font-mono ml-2">{TEMPLATE_VARIABLES.map(v => `{{${v}}}`).join(' ')}</p>
+          </div>
+
+          <div className="space-y-3">
+            <label className={LABEL}>Report Fields</label>
+            {draft.fields.map((field, i) => (
+              <div key={i} className="space-y-2 p-4 rounded-2xl border border-white/5 bg-black/20">
+                <div className="flex gap-2">
+                  <input placeholder="key" value={field.key} onChange={(e) => updateField(i, { key: e.target.value })} className={INPUT} />
+                  <input placeholder="Title" value={field.title} onChange={(e) => updateField(i, { title: e.target.value })} className={INPUT} />
+                  <select value={field.icon || 'sparkles'} onChange={(e) => updateField(i, { icon: e.target.value })} className={INPUT}>
+                    {Object.keys(SECTION_ICONS).map(name => <option key={name} value={name}>{name}</option>)}
+                  </select>
+                  <button
+                    onClick={() => setDraft({ ...draft, fields: draft.fields.filter((_, j) => j !== i) })}
+                    className="px-3 text-white/30 hover:text-rose-400 transition-colors"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+                <textarea rows={2} placeholder="Instruction for the model" value={field.instruction} onChange={(e) => updateField(i, { instruction: e.target.value })} className={INPUT} />
+              </div>
+            ))}
+            <button
+              onClick={() => setDraft({ ...draft, fields: [...draft.fields, { key: '', title: '', icon: 'sparkles', instruction: '' }] })}
+              className="flex items-center gap-2 text-[10px] font-black text-cyan-400/80 hover:text-cyan-400 uppercase tracking-widest ml-2 transition-colors"
+            >
+              <Plus className="w-3 h-3" /> Add Field
+            </button>
+          </div>
+
+          <div className="space-y-2">
+            <label className={LABEL}>Verdict Instruction</label>
+            <input value={draft.verdict} onChange={(e) => setDraft({ ...draft, verdict: e.target.value })} className={INPUT} />
+          </div>
+
+          {problems.length > 0 && (
+            <ul className="text-rose-400 text-[10px] font-bold uppercase tracking-widest space-y-1 ml-2">
+              {problems.map(problem => <li key={problem}>{problem}</li>)}
+            </ul>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              onClick={() => setDraft(null)}
+              className="flex-1 py-3 rounded-2xl border border-white/10 bg-white/5 hover:bg-white/10 text-white/60 font-black uppercase tracking-[0.3em] text-[10px] flex items-center justify-center gap-2 transition-all"
+            >
+              <X className="w-4 h-4" /> Cancel
+            </button>
+            {custom.some(p => p.id === draft.id) && (
+              <button
+                onClick={remove}
+                className="flex-1 py-3 rounded-2xl border border-rose-400/20 bg-rose-500/10 hover:bg-rose-500/20 text-rose-300 font-black uppercase tracking-[0.3em] text-[10px] flex items-center justify-center gap-2 transition-all"
+              >
+                <Trash2 className="w-4 h-4" /> Delete
+              </button>
+            )}
+            <button
+              onClick={save}
+              className="flex-1 py-3 rounded-2xl bg-cyan-500 text-black font-black uppercase tracking-[0.3em] text-[10px] flex items-center justify-center gap-2 transition-all"
+            >
+              <Save className="w-4 h-4" /> Save
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import { AUTO_TARGET, RATIO_CATALOGUE, parseRatioEntry } from '../lib/proportions';
+
+/**
+ * Target ratio picker. Custom entries accept "a:b", a decimal, or a
+ * comma-separated module series such as a Modulor-style scale.
+ */
+export default function RatioSelector({ target, customRatios, onTargetChange, onCustomRatiosChange }) {
+  const [label, setLabel] = useState('');
+  const [definition, setDefinition] = useState('');
+  const [invalid, setInvalid] = useState(false);
+
+  const addCustom = () => {
+    const entry = parseRatioEntry(label, definition);
+    if (!entry) {
+      setInvalid(true);
+      return;
+    }
+    onCustomRatiosChange([...customRatios.filter(r => r.id !== entry.id), entry]);
+    onTargetChange(entry.id);
+    setLabel('');
+    setDefinition('');
+    setInvalid(false);
+  };
+
+  const removeCustom = (id) => {
+    onCustomRatiosChange(customRatios.filter(r => r.id !== id));
+    if (target === id) onTargetChange('phi');
+  };
+
+  return (
+    <div className="space-y-3">
+      <label className="text-[10px] font-black text-white/40 uppercase tracking-[0.3em] ml-2">Target Ratio</label>
+      <select
+        value={target}
+        onChange={(e) => onTargetChange(e.target.value)}
+        className="w-full bg-black/40 border border-white/10 rounded-2xl px-6 py-4 text-white text-sm font-mono focus:outline-none focus:border-cyan-500/50 transition-all"
+      >
+        <option value={AUTO_TARGET}>Auto — nearest canonical</option>
+        {[...RATIO_CATALOGUE, ...customRatios].map(entry => (
+          <option key={entry.id} value={entry.id}>{entry.label} ({entry.symbol})</option>
+        ))}
+      </select>
+
+      {customRatios.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {customRatios.map(entry => (
+            <span key={entry.id} className="flex items-center gap-2 px-3 py-1 rounded-full bg-white/5 border border-white/10 text-[10px] text-white/60 font-black uppercase tracking-widest">
+              {entry.label}
+              <button onClick={() => removeCustom(entry.id)} className="hover:text-rose-400 transition-colors">
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <input
+          placeholder="Name"
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          className="w-1/3 min-w-0 bg-black/40 border border-white/10 rounded-2xl px-4 py-3 text-white text-xs font-mono placeholder:text-white/10 focus:outline-none focus:border-cyan-500/50 transition-all"
+        />
+        <input
+          placeholder="5:3 or 6, 9, 15, 24"
+          value={definition}
+          onChange={(e) => { setDefinition(e.target.value); setInvalid(false); }}
+          className={`flex-1 min-w-0 bg-black/40 border rounded-2xl px-4 py-3 text-white text-xs font-mono placeholder:text-white/10 focus:outline-none transition-all ${
+            invalid ? 'border-rose-500/50' : 'border-white/10 focus:border-cyan-500/50'
+          }`}
+        />
+        <button
+          onClick={addCustom}
+          disabled={!definition.trim()}
+          className="px-4 rounded-2xl bg-white/5 border border-white/10 text-white/60 hover:bg-white/10 disabled:opacity-30 transition-all"
+        >
+          <Plus className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import React from 'react';
+
+/**
+ * Per-ratio breakdown of an analysis. Selecting a row makes it the target.
+ */
+export default function RatioSpectrum({ analysis, onSelect }) {
+  if (!analysis.ratios.length) return null;
+
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+      {analysis.ratios.map(r => {
+        const active = r.id === analysis.targetId;
+        return (
+          <button
+            key={r.id}
+            onClick={() => onSelect(r.id)}
+            className={`text-left p-3 rounded-2xl border transition-all ${
+              active ? 'bg-cyan-500/10 border-cyan-400/40' : 'bg-white/[0.02] border-white/5 hover:border-white/20'
+            }`}
+          >
+            <div className="flex items-center justify-between">
+              <span className={`text-[9px] font-black uppercase tracking-[0.2em] ${active ? 'text-cyan-400' : 'text-white/30'}`}>
+                {r.symbol}
+              </span>
+              {r.id === analysis.nearestId && (
+                <span className="text-[8px] font-black uppercase tracking-widest text-[#d4af37]">Nearest</span>
+              )}
+            </div>
+            <p className="text-lg font-black font-mono tracking-tighter text-white">{r.score}</p>
+            <p className="text-[9px] font-mono text-white/30">{r.variance}% vs {r.target}</p>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
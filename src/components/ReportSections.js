@@ -0,0 +1,60 @@
+import React from 'react';
+import {
+  Box, Building2, Droplet, Factory, Flame, Hand, Layers, Lightbulb, Palette, Ruler, Sparkles, Tag
+} from 'lucide-react';
+import { renderSafely } from '../lib/format';
+
+// Icon names a profile field may use; unknown names fall back to Sparkles.
+export const SECTION_ICONS = {
+  box: Box,
+  layers: Layers,
+  sparkles: Sparkles,
+  lightbulb: Lightbulb,
+  hand: Hand,
+  droplet: Droplet,
+  flame: Flame,
+  building: Building2,
+  ruler: Ruler,
+  palette: Palette,
+  tag: Tag,
+  factory: Factory
+};
+
+function ReportSection({ icon: Icon, title, content, streaming, children }) {
+  return (
+    <div className="group space-y-3 p-6 rounded-[2rem] border border-white/5 bg-white/[0.02] hover:bg-white/[0.04] hover:border-white/10 transition-all duration-500">
+      <div className="flex items-center gap-3 text-cyan-400/60 group-hover:text-cyan-400 transition-colors">
+        <Icon className="w-4 h-4" />
+        <h4 className="text-[10px] font-black uppercase tracking-[0.3em]">{title}</h4>
+      </div>
+      {content === undefined ? (
+        <div className="h-16 w-full bg-white/[0.03] rounded-2xl animate-pulse" />
+      ) : (
+        <p className="text-sm leading-relaxed text-white/70 font-medium italic">
+          {renderSafely(content)}
+          {streaming && <span className="inline-block w-1.5 h-4 ml-1 align-middle bg-cyan-400 animate-pulse" />}
+        </p>
+      )}
+      {children}
+    </div>
+  );
+}
+
+/**
+ * One section per profile field. `attachments` maps a field key to extra
+ * content rendered inside that section (the harmonic breakdown under
+ * Geometry, for instance).
+ */
+export default function ReportSections({ fields, report, streamingKey, attachments = {} }) {
+  return fields.map(field => (
+    <ReportSection
+      key={field.key}
+      icon={SECTION_ICONS[field.icon] || Sparkles}
+      title={field.title}
+      content={report[field.key]}
+      streaming={streamingKey === field.key}
+    >
+      {attachments[field.key]}
+    </ReportSection>
+  ));
+}
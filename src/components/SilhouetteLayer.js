@@ -0,0 +1,40 @@
+import React from 'react';
+
+/**
+ * Draws a detected silhouette on the Live HUD: outline, tight bounding box
+ * and the dominant internal edges, in the image's natural pixel space.
+ */
+export default function SilhouetteLayer({ imageSize, silhouette }) {
+  const { box, contour, horizontalEdges, verticalEdges } = silhouette;
+  const path = contour.map((p, i) => `${i ? 'L' : 'M'} ${p.x},${p.y}`).join(' ') + ' Z';
+
+  return (
+    <svg
+      viewBox={`0 0 ${imageSize.width} ${imageSize.height}`}
+      preserveAspectRatio="xMidYMid meet"
+      className="absolute inset-0 w-full h-full pointer-events-none"
+    >
+      <path d={path} fill="rgba(0,217,255,0.05)" stroke="#00d9ff" strokeWidth="1.5" strokeOpacity="0.6" vectorEffect="non-scaling-stroke" />
+      <rect
+        x={box.x} y={box.y} width={box.width} height={box.height}
+        fill="none" stroke="#d4af37" strokeWidth="1" strokeOpacity="0.7" vectorEffect="non-scaling-stroke"
+      />
+      {horizontalEdges.map(edge => (
+        <line
+          key={`h${edge.position}`}
+          x1={box.x} y1={edge.position} x2={box.x + box.width} y2={edge.position}
+          stroke="#d4af37" strokeWidth="1" strokeDasharray="4 4" strokeOpacity={0.3 + edge.strength * 0.5}
+          vectorEffect="non-scaling-stroke"
+        />
+      ))}
+      {verticalEdges.map(edge => (
+        <line
+          key={`v${edge.position}`}
+          x1={edge.position} y1={box.y} x2={edge.position} y2={box.y + box.height}
+          stroke="#d4af37" strokeWidth="1" strokeDasharray="4 4" strokeOpacity={0.3 + edge.strength * 0.5}
+          vectorEffect="non-scaling-stroke"
+        />
+      ))}
+    </svg>
+  );
+}
@@ -0,0 +1,21 @@
+import React from 'react';
+import { UNITS } from '../lib/units';
+
+/** Segmented mm / cm / in / ft switch. */
+export default function UnitSelector({ unit, onChange, compact = false }) {
+  return (
+    <div className={`grid grid-cols-4 gap-1 p-1 rounded-2xl bg-black/40 border border-white/10 ${compact ? 'w-40' : ''}`}>
+      {Object.entries(UNITS).map(([id, { label }]) => (
+        <button
+          key={id}
+          onClick={() => onChange(id)}
+          className={`py-2 rounded-xl text-[10px] font-black uppercase tracking-widest transition-all ${
+            unit === id ? 'bg-cyan-500 text-black' : 'text-white/40 hover:text-white/70'
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+import { VIEWS } from '../lib/volumetric';
+
+/**
+ * Front, side and top photos for a three-view audit. The front is the
+ * main image; the other two are optional and can be removed again. An
+ * added view shows its subject box once measured, or why it failed.
+ */
+export default function ViewSlots({ frontUrl, views, onAdd, onRemove }) {
+  return (
+    <div className="grid grid-cols-3 gap-4">
+      {VIEWS.map(({ id, label }) => {
+        const url = id === 'front' ? frontUrl : views[id]?.url;
+        const { box, error } = views[id] || {};
+        return (
+          <div key={id} className="space-y-2">
+            <p className="text-[10px] font-black text-white/40 uppercase tracking-[0.3em] text-center">{label}</p>
+            {url ? (
+              <div className="relative">
+                <img src={url} alt={`${label} view`} className="w-full aspect-square object-cover rounded-2xl border-2 border-white/10" />
+                {id !== 'front' && (
+                  <button
+                    onClick={() => onRemove(id)}
+                    title={`Remove ${label.toLowerCase()} view`}
+                    className="absolute top-2 right-2 p-1.5 rounded-xl bg-black/60 text-white/60 hover:text-rose-400 transition-colors"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                )}
+                {id !== 'front' && (
+                  <span
+                    title={error || undefined}
+                    className={`absolute bottom-2 left-1/2 -translate-x-1/2 px-2 py-0.5 rounded-full bg-black/60 text-[9px] font-mono whitespace-nowrap ${
+                      error ? 'text-rose-400' : 'text-cyan-400/80'
+                    }`}
+                  >
+                    {box ? `${Math.round(box.height)} × ${Math.round(box.width)} px` : error ? 'Unreadable' : 'Measuring…'}
+                  </span>
+                )}
+              </div>
+            ) : (
+              <label className="relative flex items-center justify-center w-full aspect-square rounded-2xl border-2 border-dashed border-white/10 hover:border-cyan-500/40 bg-white/[0.02] text-white/30 hover:text-cyan-400 cursor-pointer transition-all">
+                <Plus className="w-6 h-6" />
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={(e) => {
+                    const selected = e.target.files?.[0];
+                    if (selected?.type.startsWith('image/')) onAdd(id, selected);
+                    e.target.value = '';
+                  }}
+                  className="absolute inset-0 opacity-0 cursor-pointer"
+                />
+              </label>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
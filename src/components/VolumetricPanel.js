@@ -0,0 +1,44 @@
+import React from 'react';
+import { Box } from 'lucide-react';
+import { IN_PROPORTION_SCORE } from '../lib/harmonics';
+
+/**
+ * Per-face scores (H:W, H:D, W:D) and the volumetric harmony score of a
+ * three-view audit.
+ */
+export default function VolumetricPanel({ volume }) {
+  const golden = volume.score !== null && volume.score >= IN_PROPORTION_SCORE;
+
+  return (
+    <div className="bg-white/[0.03] backdrop-blur-[20px] border border-white/20 rounded-[2.5rem] p-8 shadow-2xl space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <Box className="w-5 h-5 text-[#d4af37]" />
+          <h4 className="text-xs font-black text-white/60 uppercase tracking-[0.2em]">Volumetric Harmony</h4>
+        </div>
+        <span className={`text-3xl font-black tracking-tighter ${golden ? 'text-[#d4af37]' : 'text-white'}`}>
+          {volume.score ?? '—'}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        {volume.faces.map(({ id, label, pair, analysis }) => (
+          <div key={id} className="p-4 rounded-2xl bg-white/[0.02] border border-white/5 space-y-1">
+            <p className="text-[9px] font-black text-white/30 uppercase tracking-[0.2em]">{label} {pair}</p>
+            <p className={`text-xl font-black font-mono tracking-tighter ${analysis.score >= IN_PROPORTION_SCORE ? 'text-[#d4af37]' : 'text-white'}`}>
+              {analysis.score}
+            </p>
+            <p className="text-[10px] font-mono text-white/40">{analysis.ratio} / {analysis.targetSymbol} {analysis.target}</p>
+            <p className={`text-[10px] font-mono ${Math.abs(analysis.variance) > 10 ? 'text-orange-500' : 'text-cyan-400'}`}>{analysis.variance}%</p>
+          </div>
+        ))}
+      </div>
+
+      {volume.score === null && (
+        <p className="text-[10px] text-white/30 font-bold uppercase tracking-widest">
+          Add the missing view or a depth to score the full volume.
+        </p>
+      )}
+    </div>
+  );
+}
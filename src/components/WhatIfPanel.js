@@ -0,0 +1,164 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Eye, EyeOff, RotateCcw, Wand2 } from 'lucide-react';
+import { analyzeProportions } from '../lib/proportions';
+import { computeScale, formatLength, segmentLength } from '../lib/measurement';
+import { formatDimension } from '../lib/units';
+import { DEFAULT_TOLERANCES, suggestDimensions, suggestSegments, WHAT_IF_RANGE } from '../lib/whatIf';
+
+const LABEL = 'text-[10px] font-black text-white/40 uppercase tracking-[0.3em]';
+
+const signed = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+
+function DimensionSlider({ label, base, value, unit, onChange }) {
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-between items-baseline">
+        <span className={LABEL}>{label}</span>
+        <span className="text-[10px] font-mono text-white/60">
+          {formatDimension(value, unit)} <span className="text-white/30">({signed(((value - base) / base) * 100)})</span>
+        </span>
+      </div>
+      <input
+        type="range"
+        min={base * (1 - WHAT_IF_RANGE)}
+        max={base * (1 + WHAT_IF_RANGE)}
+        step={base / 1000}
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        className="w-full accent-cyan-500"
+      />
+    </div>
+  );
+}
+
+/**
+ * Proportion-fix suggestions and a live what-if editor for the audited
+ * dimensions. The edited outline is reported through `onPreview` so it
+ * can be ghosted over the image; caliper segments get a re-proportioned
+ * progression of the same target.
+ */
+export default function WhatIfPanel({ dimensions, analysis, ratioOptions, measurements, unit, onPreview }) {
+  const [tolerances, setTolerances] = useState(DEFAULT_TOLERANCES);
+  const [draft, setDraft] = useState({ height: dimensions.height, width: dimensions.width });
+  const [showGhost, setShowGhost] = useState(true);
+
+  const edited = draft.height !== dimensions.height || draft.width !== dimensions.width;
+  const live = analyzeProportions(draft.height, draft.width, ratioOptions);
+
+  useEffect(() => {
+    onPreview(showGhost && edited ? draft : null);
+  }, [showGhost, edited, draft, onPreview]);
+
+  useEffect(() => () => onPreview(null), [onPreview]);
+
+  const suggestions = useMemo(
+    () => suggestDimensions(dimensions.height, dimensions.width, analysis.target, tolerances),
+    [dimensions, analysis.target, tolerances]
+  );
+
+  const scale = computeScale(measurements.reference, unit);
+  const segmentFixes = useMemo(
+    () => suggestSegments(measurements.segments.map(s => ({ id: s.id, label: s.label, length: segmentLength(s) })), analysis.target),
+    [measurements.segments, analysis.target]
+  );
+
+  return (
+    <div className="bg-white/[0.03] backdrop-blur-[20px] border border-white/20 rounded-[2.5rem] p-8 shadow-2xl space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <Wand2 className="w-5 h-5 text-cyan-400" />
+          <h4 className="text-xs font-black text-white/60 uppercase tracking-[0.2em]">What-If</h4>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setShowGhost(!showGhost)}
+            title={showGhost ? 'Hide ideal outline' : 'Show ideal outline'}
+            className={`p-2 rounded-xl border transition-all ${showGhost ? 'bg-cyan-500 border-cyan-400 text-black' : 'bg-white/5 border-white/10 text-white/50 hover:bg-white/10'}`}
+          >
+            {showGhost ? <Eye className="w-4 h-4" /> : <EyeOff className="w-4 h-4" />}
+          </button>
+          <button
+            onClick={() => setDraft({ height: dimensions.height, width: dimensions.width })}
+            disabled={!edited}
+            title="Back to measured dimensions"
+            className="p-2 rounded-xl border bg-white/5 border-white/10 text-white/50 hover:bg-white/10 disabled:opacity-30 transition-all"
+          >
+            <RotateCcw className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="space-y-4">
+        <DimensionSlider label="Height" base={dimensions.height} value={draft.height} unit={dimensions.unit} onChange={(height) => setDraft({ ...draft, height })} />
+        <DimensionSlider label="Width" base={dimensions.width} value={draft.width} unit={dimensions.unit} onChange={(width) => setDraft({ ...draft, width })} />
+        <div className="flex justify-between text-[10px] font-black uppercase tracking-widest font-mono">
+          <span className="text-white/50">Ratio {live.ratio}</span>
+          <span className={Math.abs(live.variance) > 10 ? 'text-orange-500' : 'text-cyan-400'}>Var {live.variance}%</span>
+          <span className={live.score >= 90 ? 'text-[#d4af37]' : 'text-white'}>Score {live.score}</span>
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        <span className={LABEL}>Fixes for {analysis.targetSymbol} {analysis.target}</span>
+        <div className="grid grid-cols-2 gap-2">
+          {['height', 'width'].map(axis => (
+            <label key={axis} className="flex items-center justify-between gap-2 px-4 py-2 rounded-2xl bg-black/40 border border-white/10">
+              <span className="text-[9px] font-black text-white/40 uppercase tracking-widest">{axis} ±%</span>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={tolerances[axis]}
+                onChange={(e) => setTolerances({ ...tolerances, [axis]: Math.max(0, parseFloat(e.target.value) || 0) })}
+                className="w-12 bg-transparent text-right text-xs text-white font-mono focus:outline-none"
+              />
+            </label>
+          ))}
+        </div>
+        <ul className="space-y-2">
+          {suggestions.map(s => {
+            const result = analyzeProportions(s.height, s.width, ratioOptions);
+            return (
+              <li key={s.id}>
+                <button
+                  onClick={() => setDraft({ height: s.height, width: s.width })}
+                  title="Try these dimensions"
+                  className="w-full flex items-center gap-3 p-3 rounded-2xl bg-white/[0.02] border border-white/5 hover:bg-white/[0.05] hover:border-white/10 text-left transition-all"
+                >
+                  <span className={`w-2 h-2 rounded-full shrink-0 ${s.withinTolerance ? 'bg-cyan-400' : 'bg-white/20'}`} />
+                  <span className="flex-1 text-[10px] font-black text-white/70 uppercase tracking-widest">{s.label}</span>
+                  <span className="text-[10px] font-mono text-white/50">
+                    {formatDimension(s.height, dimensions.unit)} × {formatDimension(s.width, dimensions.unit)}
+                  </span>
+                  <span className="text-[10px] font-mono text-white/30 w-24 text-right">
+                    {signed(s.heightChange)} / {signed(s.widthChange)}
+                  </span>
+                  <span className={`text-[10px] font-mono font-black w-8 text-right ${result.score >= 90 ? 'text-[#d4af37]' : 'text-white/40'}`}>
+                    {result.score}
+                  </span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+
+      {segmentFixes.length > 0 && (
+        <div className="space-y-3">
+          <span className={LABEL}>Re-proportioned Segments</span>
+          <ul className="space-y-1">
+            {segmentFixes.map((segment, i) => (
+              <li key={segment.id} className="flex items-center gap-3 text-[10px] font-mono px-2">
+                <span className="font-black text-yellow-500 w-4">{i + 1}</span>
+                <span className="flex-1 min-w-0 truncate text-white/50">{segment.label}</span>
+                <span className="text-white/30">{formatLength(segment.length, scale, unit)}</span>
+                <span className="text-cyan-400/80">→ {formatLength(segment.suggested, scale, unit)}</span>
+                <span className="text-white/30 w-14 text-right">{signed(segment.change)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+/**
+ * Failure of an audit request. `code` is the stable identifier
+ * (API_ERROR_429, EMPTY_RESPONSE, INVALID_RESPONSE, NETWORK_ERROR, ABORTED,
+ * UNKNOWN_PROVIDER);
+ * `retryable` says whether the same request may succeed later and
+ * `retryAfter` is the server's requested wait in milliseconds, if any.
+ */
+export class AuditError extends Error {
+  constructor(code, { status, retryable = false, retryAfter = null, details } = {}) {
+    super(code);
+    this.name = 'AuditError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+    this.details = details;
+  }
+}
+
+// Timeouts, rate limits and upstream outages; everything else (bad key,
+// bad request, missing model) fails the same way on every attempt.
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/** Retry-After as delta-seconds or an HTTP date, in milliseconds. */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+export const httpError = (response) => new AuditError(`API_ERROR_${response.status}`, {
+  status: response.status,
+  retryable: RETRYABLE_STATUS.has(response.status),
+  retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+});
+
+/**
+ * Normalises anything an adapter throws. fetch rejects with a TypeError on
+ * network failure and an AbortError on cancellation.
+ */
+export const toAuditError = (e, signal) => {
+  if (signal?.aborted || e?.name === 'AbortError') return new AuditError('ABORTED');
+  if (e instanceof AuditError) return e;
+  return new AuditError('NETWORK_ERROR', { retryable: true, details: e?.message });
+};
+
+/** User-facing explanation, or null for a cancelled request. */
+export const describeAuditError = (e) => {
+  const { code, status, details } = e instanceof AuditError ? e : toAuditError(e);
+  if (code === 'ABORTED') return null;
+  if (code === 'UNKNOWN_PROVIDER') return `Unknown critique provider "${details}". Check REACT_APP_AI_PROVIDER.`;
+  if (code === 'NETWORK_ERROR') return 'Critique service unreachable. Check the connection and retry.';
+  if (code === 'INVALID_RESPONSE') return 'The model returned a malformed critique twice. Retry or switch provider.';
+  if (code === 'EMPTY_RESPONSE') return 'The model returned an empty critique. Retry shortly.';
+  if (details === 'UNKNOWN_PROFILE') return 'The critique service only accepts the built-in profiles.';
+  if (status === 401 || status === 403) return 'The critique service rejected its credentials.';
+  if (status === 429) return 'Critique service is rate limited. Retry in a moment.';
+  if (status >= 500) return `Critique service failed (${status}). Retry shortly.`;
+  return `Critique request was rejected (${status}).`;
+};
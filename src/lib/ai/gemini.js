@@ -0,0 +1,68 @@
+import { AuditError, httpError } from './errors.js';
+import { parseReport } from './schema.js';
+import { parseStreamChunk, readEventStream } from './stream.js';
+
+const DEFAULT_MODEL = 'gemini-3-flash-preview';
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Gemini's responseSchema is an OpenAPI subset: upper-case type names and
+// no additionalProperties.
+const toGeminiSchema = ({ additionalProperties, ...schema }) => ({
+  ...schema,
+  type: schema.type.toUpperCase(),
+  ...(schema.properties && {
+    properties: Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toGeminiSchema(v)]))
+  }),
+  ...(schema.items && { items: toGeminiSchema(schema.items) })
+});
+
+export const createGeminiProvider = ({ apiKey, model = DEFAULT_MODEL }) => ({
+  id: 'gemini',
+  // With `onText`, streams via streamGenerateContent (SSE) and reports the
+  // accumulated text after every chunk.
+  audit: async ({ images, prompt, schema, signal, onText }) => {
+    const endpoint = onText
+      ? `${API_BASE}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+      : `${API_BASE}/${model}:generateContent?key=${apiKey}`;
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      signal,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ role: "user", parts: [
+          { text: prompt.user },
+          ...images.map(({ image, mimeType }) => ({ inlineData: { mimeType, data: image } }))
+        ]}],
+        systemInstruction: { parts: [{ text: prompt.system }] },
+        generationConfig: {
+          responseMimeType: "application/json",
+          maxOutputTokens: 1000,
+          responseSchema: toGeminiSchema(schema)
+        }
+      })
+    });
+
+    if (!response.ok) {
+      throw httpError(response);
+    }
+
+    const textOf = (result) => (result.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+    let content = '';
+    if (onText) {
+      await readEventStream(response, (data) => {
+        const chunk = textOf(parseStreamChunk(data));
+        if (!chunk) return;
+        content += chunk;
+        onText(content);
+      });
+    } else {
+      content = textOf(await response.json());
+    }
+
+    if (!content) {
+      throw new AuditError('EMPTY_RESPONSE', { retryable: true });
+    }
+
+    return parseReport(content, schema);
+  }
+});
@@ -0,0 +1,135 @@
+// Explicit extensions: the audit proxy in server/ loads these modules
+// through Node's own ES module resolver.
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createOllamaProvider } from './ollama.js';
+import { createMockProvider } from './mock.js';
+import { createProxyProvider } from './proxy.js';
+import { buildAuditPrompt, buildRepairPrompt, buildReportSchema } from './prompt.js';
+import { DEFAULT_PROFILE } from './profiles.js';
+import { AuditError, toAuditError } from './errors.js';
+import { parsePartialJson } from './partialJson.js';
+
+export { AuditError, describeAuditError } from './errors.js';
+export {
+  BUILTIN_PROFILES, DEFAULT_PROFILE, TEMPLATE_VARIABLES, pickProfile, summarizeProfile, validateProfile
+} from './profiles.js';
+
+const ADAPTERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  ollama: createOllamaProvider,
+  mock: createMockProvider,
+  proxy: createProxyProvider
+};
+
+export const PROVIDER_IDS = Object.keys(ADAPTERS);
+
+// Browser builds default to the audit proxy so no credential ships in the
+// bundle; direct providers remain available for local development.
+export const readProviderConfig = (env = process.env) => ({
+  provider: env.REACT_APP_AI_PROVIDER || 'proxy',
+  model: env.REACT_APP_AI_MODEL || undefined,
+  baseUrl: env.REACT_APP_AI_BASE_URL || undefined,
+  apiKey: env.REACT_APP_AI_PROVIDER === 'openai' ? env.REACT_APP_OPENAI_KEY : env.REACT_APP_GEMINI_KEY
+});
+
+/**
+ * A provider exposes `audit({ images, stats, profile, prompt, schema })`,
+ * where `images` is a list of { view, image, mimeType }, and resolves to a
+ * report with one string per profile field plus `verdict`. An unknown
+ * provider id throws an UNKNOWN_PROVIDER AuditError carrying the id.
+ */
+export const createProvider = (config = readProviderConfig()) => {
+  const factory = ADAPTERS[config.provider];
+  if (!factory) throw new AuditError('UNKNOWN_PROVIDER', { details: config.provider });
+  return factory(config);
+};
+
+// Backoff doubles from one second; a server asking for a longer wait than
+// the ceiling is treated as a hard failure rather than a frozen UI.
+const BASE_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30 * 1000;
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new AuditError('ABORTED'));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new AuditError('ABORTED'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const attempt = async (provider, request) => {
+  try {
+    return await provider.audit(request);
+  } catch (e) {
+    throw toAuditError(e, request.signal);
+  }
+};
+
+// A reply that fails the schema gets one repair re-prompt before giving up.
+// The audit proxy builds its own prompt and already repairs server-side, so
+// its malformed replies are final here.
+const attemptWithRepair = async (provider, request) => {
+  try {
+    return await attempt(provider, request);
+  } catch (e) {
+    if (e.code !== 'INVALID_RESPONSE' || provider.id === 'proxy') throw e;
+    return attempt(provider, { ...request, prompt: buildRepairPrompt(request.prompt, e.details) });
+  }
+};
+
+/**
+ * Runs one audit through `provider`, building the prompt and schema from
+ * the critique `profile`. `images` is one base64 image (of `mimeType`) or
+ * a list of { view, image, mimeType } sent together in view order.
+ * Retryable failures back off (honouring Retry-After) up to `retries`
+ * times; `signal` cancels both the request and any pending wait.
+ * `onRetry({ attempt, retries, delay, code })` fires before each wait.
+ * Passing `onText` (accumulated raw text) or `onPartial` (the report parsed
+ * so far) streams the reply; both restart from empty on a new attempt.
+ * Rejects with an AuditError.
+ */
+export const requestAudit = async (provider, images, stats, {
+  mimeType = 'image/png',
+  profile = DEFAULT_PROFILE,
+  signal,
+  retries = 3,
+  onRetry = () => {},
+  onText,
+  onPartial
+} = {}) => {
+  const views = Array.isArray(images) ? images : [{ view: 'front', image: images, mimeType }];
+  const request = {
+    images: views,
+    stats,
+    profile,
+    prompt: buildAuditPrompt(stats, profile, views.map(v => v.view)),
+    schema: buildReportSchema(profile),
+    signal,
+    onText: (onText || onPartial) && ((text) => {
+      onText?.(text);
+      onPartial?.(parsePartialJson(text) || {});
+    })
+  };
+
+  for (let n = 0; ; n++) {
+    try {
+      return await attemptWithRepair(provider, request);
+    } catch (e) {
+      const delay = e.retryAfter ?? Math.min(BASE_RETRY_DELAY * 2 ** n, MAX_RETRY_DELAY);
+      if (!e.retryable || n >= retries || delay > MAX_RETRY_DELAY) throw e;
+      onRetry({ attempt: n + 1, retries, delay, code: e.code });
+      onPartial?.(null);
+      await sleep(delay, signal);
+    }
+  }
+};
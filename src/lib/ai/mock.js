@@ -0,0 +1,55 @@
+import { AuditError } from './errors.js';
+
+const LATENCY = 600;
+
+const verdictFor = (score) => {
+  if (score >= 90) return 'Classical Masterpiece';
+  if (score >= 75) return 'Harmonic Study';
+  if (score >= 50) return 'Transitional Form';
+  return 'Disproportionate Prototype';
+};
+
+const buildReport = (stats, schema) => {
+  const direction = stats.variance >= 0 ? 'elongated beyond' : 'compressed against';
+  const known = {
+    composition: `A silhouette with an observed ratio of ${stats.ratio} reads as ${stats.score >= 75 ? 'settled and deliberate' : 'restless'}. The massing holds its footprint with ${stats.score >= 50 ? 'measured' : 'uncertain'} authority.`,
+    geometry: `The primary proportion is ${direction} the ${stats.targetLabel} target (${stats.targetSymbol} ${stats.target}) by ${Math.abs(stats.variance)}%, yielding a geometric score of ${stats.score}.`,
+    styling: 'Mock critique: material and finish are not assessed offline.',
+    verdict: verdictFor(stats.score)
+  };
+  // Profile-specific fields get a placeholder naming the field.
+  return Object.fromEntries(Object.keys(schema.properties).map(key => [
+    key,
+    known[key] || `Mock critique: ${key.replace(/([A-Z])/g, ' $1').toLowerCase()} is not assessed offline.`
+  ]));
+};
+
+// Streamed replies are the serialised report in fixed-size slices spread
+// over the latency, so progressive rendering can be exercised offline.
+const CHUNK_SIZE = 12;
+
+/**
+ * Offline provider for UI work and tests. The report is a pure function of
+ * the stats, so the same audit always produces the same critique.
+ */
+export const createMockProvider = ({ latency = LATENCY } = {}) => ({
+  id: 'mock',
+  audit: ({ stats, schema, signal, onText }) => new Promise((resolve, reject) => {
+    const report = buildReport(stats, schema);
+    const text = JSON.stringify(report);
+    const chunks = onText ? Math.ceil(text.length / CHUNK_SIZE) : 1;
+    let sent = 0;
+    let timer;
+    const tick = () => {
+      sent++;
+      if (onText) onText(text.slice(0, sent * CHUNK_SIZE));
+      if (sent < chunks) timer = setTimeout(tick, latency / chunks);
+      else resolve(report);
+    };
+    timer = setTimeout(tick, latency / chunks);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new AuditError('ABORTED'));
+    }, { once: true });
+  })
+});
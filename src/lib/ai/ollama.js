@@ -0,0 +1,54 @@
+import { AuditError, httpError } from './errors.js';
+import { parseReport } from './schema.js';
+import { parseStreamChunk, readLines } from './stream.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+const DEFAULT_MODEL = 'llava';
+
+/**
+ * A local Ollama-style server. `format` takes the JSON schema directly and
+ * images travel as bare base64 on the user message. Streaming responses
+ * are newline-delimited JSON chunks.
+ */
+export const createOllamaProvider = ({ baseUrl = DEFAULT_BASE_URL, model = DEFAULT_MODEL }) => ({
+  id: 'ollama',
+  audit: async ({ images, prompt, schema, signal, onText }) => {
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/api/chat`, {
+      method: 'POST',
+      signal,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        stream: Boolean(onText),
+        format: schema,
+        messages: [
+          { role: 'system', content: prompt.system },
+          { role: 'user', content: prompt.user, images: images.map(({ image }) => image) }
+        ]
+      })
+    });
+
+    if (!response.ok) {
+      throw httpError(response);
+    }
+
+    let content = '';
+    if (onText) {
+      await readLines(response, (line) => {
+        const chunk = line.trim() && parseStreamChunk(line).message?.content;
+        if (!chunk) return;
+        content += chunk;
+        onText(content);
+      });
+    } else {
+      const result = await response.json();
+      content = result.message?.content;
+    }
+
+    if (!content) {
+      throw new AuditError('EMPTY_RESPONSE', { retryable: true });
+    }
+
+    return parseReport(content, schema);
+  }
+});
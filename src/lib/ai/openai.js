@@ -0,0 +1,61 @@
+import { AuditError, httpError } from './errors.js';
+import { parseReport } from './schema.js';
+import { parseStreamChunk, readEventStream } from './stream.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * Any OpenAI-compatible /chat/completions endpoint (OpenAI, Azure-style
+ * gateways, vLLM, LM Studio, ...).
+ */
+export const createOpenAIProvider = ({ apiKey, baseUrl = DEFAULT_BASE_URL, model = DEFAULT_MODEL }) => ({
+  id: 'openai',
+  audit: async ({ images, prompt, schema, signal, onText }) => {
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: 1000,
+        stream: Boolean(onText),
+        messages: [
+          { role: 'system', content: prompt.system },
+          { role: 'user', content: [
+            { type: 'text', text: prompt.user },
+            ...images.map(({ image, mimeType }) => ({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${image}` } }))
+          ]}
+        ],
+        response_format: { type: 'json_schema', json_schema: { name: 'design_audit', schema, strict: true } }
+      })
+    });
+
+    if (!response.ok) {
+      throw httpError(response);
+    }
+
+    let content = '';
+    if (onText) {
+      await readEventStream(response, (data) => {
+        if (data === '[DONE]') return;
+        const chunk = parseStreamChunk(data).choices?.[0]?.delta?.content;
+        if (!chunk) return;
+        content += chunk;
+        onText(content);
+      });
+    } else {
+      const result = await response.json();
+      content = result.choices?.[0]?.message?.content;
+    }
+
+    if (!content) {
+      throw new AuditError('EMPTY_RESPONSE', { retryable: true });
+    }
+
+    return parseReport(content, schema);
+  }
+});
@@ -0,0 +1,121 @@
+/**
+ * Best-effort parse of a JSON document that is still arriving. Open strings
+ * yield what has streamed so far, open objects and arrays are closed, and a
+ * key whose value has not started yet is left out. Returns undefined until
+ * the first value begins.
+ */
+export const parsePartialJson = (text) => {
+  // Models in JSON mode occasionally open with a markdown fence.
+  const source = text.replace(/^\s*```(?:json)?\s*/i, '');
+  let i = 0;
+
+  const skipWhitespace = () => {
+    while (i < source.length && /\s/.test(source[i])) i++;
+  };
+
+  const ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+  const parseString = () => {
+    let value = '';
+    i++;
+    while (i < source.length) {
+      const char = source[i];
+      if (char === '"') {
+        i++;
+        return { value, complete: true };
+      }
+      if (char === '\\') {
+        const next = source[i + 1];
+        if (next === undefined) break;
+        if (next === 'u') {
+          const hex = source.slice(i + 2, i + 6);
+          if (hex.length < 4) break;
+          value += String.fromCharCode(parseInt(hex, 16));
+          i += 6;
+        } else {
+          value += ESCAPES[next] ?? next;
+          i += 2;
+        }
+      } else {
+        value += char;
+        i++;
+      }
+    }
+    i = source.length;
+    return { value, complete: false };
+  };
+
+  const parseLiteral = () => {
+    const match = /^[^,}\]\s]*/.exec(source.slice(i))[0];
+    i += match.length;
+    // A literal cut off at the end of input may still be growing.
+    if (i >= source.length && !/^(true|false|null)$/.test(match)) return undefined;
+    try {
+      return JSON.parse(match);
+    } catch (e) {
+      return undefined;
+    }
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    if (i >= source.length) return undefined;
+    const char = source[i];
+    if (char === '{') return parseObject();
+    if (char === '[') return parseArray();
+    if (char === '"') return parseString().value;
+    return parseLiteral();
+  };
+
+  const parseObject = () => {
+    const result = {};
+    i++;
+    while (i < source.length) {
+      skipWhitespace();
+      const char = source[i];
+      if (char === '}') {
+        i++;
+        return result;
+      }
+      if (char === ',') {
+        i++;
+        continue;
+      }
+      if (char !== '"') break;
+      const key = parseString();
+      if (!key.complete) break;
+      skipWhitespace();
+      if (source[i] !== ':') break;
+      i++;
+      const value = parseValue();
+      if (value !== undefined) result[key.value] = value;
+    }
+    i = source.length;
+    return result;
+  };
+
+  const parseArray = () => {
+    const result = [];
+    i++;
+    while (i < source.length) {
+      skipWhitespace();
+      const char = source[i];
+      if (char === ']') {
+        i++;
+        return result;
+      }
+      if (char === ',') {
+        i++;
+        continue;
+      }
+      const start = i;
+      const value = parseValue();
+      if (i === start) break;
+      if (value !== undefined) result.push(value);
+    }
+    i = source.length;
+    return result;
+  };
+
+  return parseValue();
+};
@@ -0,0 +1,149 @@
+/**
+ * Critique profiles: the persona, prompt template and report fields for one
+ * kind of object. The response schema and the rendered report sections are
+ * both derived from `fields`; every profile also returns a `verdict`.
+ *
+ * Templates interpolate {{ratio}}, {{target}}, {{targetLabel}},
+ * {{targetSymbol}}, {{variance}} and {{score}} from the audit stats.
+ */
+
+export const TEMPLATE_VARIABLES = ['ratio', 'target', 'targetLabel', 'targetSymbol', 'variance', 'score'];
+
+const RATIO_LINE = 'Observed Ratio: {{ratio}} ({{targetLabel}} Target {{targetSymbol}}: {{target}}).';
+
+export const BUILTIN_PROFILES = [
+  {
+    id: 'furniture',
+    name: 'Furniture',
+    builtin: true,
+    system: 'You are an elite furniture design critic. Provide detailed, evocative, and academic audits. Focus on the sculptural silhouette, material presence, and geometric harmonics. Use a professional and sophisticated tone.',
+    template: `Conduct a design audit. ${RATIO_LINE}`,
+    fields: [
+      { key: 'composition', title: 'Composition', icon: 'box', instruction: 'Describe the sculptural silhouette and spatial presence in 2-3 detailed sentences.' },
+      { key: 'geometry', title: 'Geometry', icon: 'layers', instruction: 'Analyze how the proportions manifest in structural balance and phi-harmonics.' },
+      { key: 'styling', title: 'Styling', icon: 'sparkles', instruction: 'Critique the materiality, finish, and design coherence.' }
+    ],
+    verdict: "A singular design classification (e.g., 'Classical Masterpiece')."
+  },
+  {
+    id: 'lighting',
+    name: 'Lighting',
+    builtin: true,
+    system: 'You are a lighting design critic who judges luminaires as both objects and instruments of light. Be precise about glare, diffusion and scale in a room. Use a professional tone.',
+    template: `Audit this luminaire. ${RATIO_LINE} Consider it both switched off, as an object, and lit.`,
+    fields: [
+      { key: 'composition', title: 'Form', icon: 'box', instruction: 'Describe the silhouette, shade-to-base balance and visual weight in 2-3 sentences.' },
+      { key: 'geometry', title: 'Geometry', icon: 'layers', instruction: 'Analyze how the measured proportions support or undermine the form.' },
+      { key: 'lightQuality', title: 'Light Quality', icon: 'lightbulb', instruction: 'Assess the likely distribution, diffusion and glare of the emitted light.' },
+      { key: 'ergonomics', title: 'Ergonomics', icon: 'hand', instruction: 'Critique reach, switching, adjustability and stability in use.' }
+    ],
+    verdict: "A short classification (e.g., 'Luminous Icon', 'Glare-Prone Study')."
+  },
+  {
+    id: 'ceramics',
+    name: 'Ceramics',
+    builtin: true,
+    system: 'You are a studio ceramics critic with deep knowledge of throwing, slip casting and glaze chemistry. Write with a maker\'s eye and an academic vocabulary.',
+    template: `Audit this ceramic piece. ${RATIO_LINE}`,
+    fields: [
+      { key: 'composition', title: 'Profile', icon: 'box', instruction: 'Describe the profile line, foot, belly and lip in 2-3 sentences.' },
+      { key: 'geometry', title: 'Geometry', icon: 'layers', instruction: 'Analyze the proportions between foot, body and rim against the target ratio.' },
+      { key: 'surface', title: 'Glaze & Surface', icon: 'droplet', instruction: 'Critique glaze, texture and how the surface follows the form.' },
+      { key: 'manufacturability', title: 'Manufacturability', icon: 'flame', instruction: 'Assess wall thickness, kiln risk and whether the form suits throwing or casting.' }
+    ],
+    verdict: "A short classification (e.g., 'Canonical Vessel', 'Unresolved Form')."
+  },
+  {
+    id: 'facade',
+    name: 'Architecture Facade',
+    builtin: true,
+    system: 'You are an architecture critic reviewing building facades. Discuss order, rhythm, fenestration and context with the vocabulary of architectural history.',
+    template: `Audit this facade. ${RATIO_LINE} The ratio is the overall elevation height to width.`,
+    fields: [
+      { key: 'composition', title: 'Composition', icon: 'building', instruction: 'Describe the massing, base-middle-top order and symmetry in 2-3 sentences.' },
+      { key: 'geometry', title: 'Geometry', icon: 'layers', instruction: 'Analyze how the proportions govern bays, openings and storey heights.' },
+      { key: 'rhythm', title: 'Rhythm', icon: 'ruler', instruction: 'Critique the cadence of fenestration, columns and horizontal bands.' },
+      { key: 'materiality', title: 'Materiality', icon: 'palette', instruction: 'Assess materials, detailing and how the facade weathers and meets the street.' }
+    ],
+    verdict: "A short classification (e.g., 'Civic Order', 'Discordant Elevation')."
+  },
+  {
+    id: 'packaging',
+    name: 'Packaging',
+    builtin: true,
+    system: 'You are a packaging design critic for consumer brands. Judge shelf impact, hierarchy and production realism as a senior brand designer would.',
+    template: `Audit this package. ${RATIO_LINE}`,
+    fields: [
+      { key: 'composition', title: 'Hierarchy', icon: 'box', instruction: 'Describe the visual hierarchy of the principal display panel in 2-3 sentences.' },
+      { key: 'geometry', title: 'Geometry', icon: 'layers', instruction: 'Analyze the pack proportions and how the layout grid relates to them.' },
+      { key: 'brandFit', title: 'Brand Fit', icon: 'tag', instruction: 'Critique how well form, colour and typography express the brand.' },
+      { key: 'manufacturability', title: 'Manufacturability', icon: 'factory', instruction: 'Assess dieline complexity, material efficiency and print risk.' }
+    ],
+    verdict: "A short classification (e.g., 'Shelf Hero', 'Cluttered Pack')."
+  }
+];
+
+export const DEFAULT_PROFILE = BUILTIN_PROFILES[0];
+
+export const renderTemplate = (template, stats) => template.replace(
+  /\{\{\s*(\w+)\s*\}\}/g,
+  (match, name) => (TEMPLATE_VARIABLES.includes(name) && stats[name] !== undefined ? String(stats[name]) : match)
+);
+
+const FIELD_KEY = /^[a-z][a-zA-Z0-9]{0,31}$/;
+const LIMITS = { name: 60, system: 2000, template: 4000, title: 40, instruction: 500, fields: 8 };
+
+const checkText = (value, label, max, problems) => {
+  if (typeof value !== 'string' || !value.trim()) problems.push(`${label} is required`);
+  else if (value.length > max) problems.push(`${label} exceeds ${max} characters`);
+};
+
+/**
+ * Checks a profile from the editor, an import or a proxy request. Returns a
+ * list of problems, empty when the profile is usable.
+ */
+export const validateProfile = (profile) => {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return ['profile must be an object'];
+  const problems = [];
+  checkText(profile.name, 'name', LIMITS.name, problems);
+  checkText(profile.system, 'system prompt', LIMITS.system, problems);
+  checkText(profile.template, 'template', LIMITS.template, problems);
+  checkText(profile.verdict, 'verdict instruction', LIMITS.instruction, problems);
+
+  if (!Array.isArray(profile.fields) || !profile.fields.length) {
+    problems.push('at least one field is required');
+    return problems;
+  }
+  if (profile.fields.length > LIMITS.fields) problems.push(`at most ${LIMITS.fields} fields`);
+  const keys = new Set();
+  profile.fields.forEach((field, i) => {
+    const label = `field ${i + 1}`;
+    if (!FIELD_KEY.test(field?.key || '')) problems.push(`${label} key must be camelCase letters and digits`);
+    else if (field.key === 'verdict') problems.push(`${label} key "verdict" is reserved`);
+    else if (keys.has(field.key)) problems.push(`${label} key "${field.key}" is duplicated`);
+    keys.add(field?.key);
+    checkText(field?.title, `${label} title`, LIMITS.title, problems);
+    checkText(field?.instruction, `${label} instruction`, LIMITS.instruction, problems);
+  });
+  return problems;
+};
+
+/** The parts of a profile the prompt and schema depend on, nothing else. */
+export const pickProfile = (profile) => ({
+  id: String(profile.id || ''),
+  name: profile.name,
+  system: profile.system,
+  template: profile.template,
+  verdict: profile.verdict,
+  fields: profile.fields.map(({ key, title, instruction, icon }) => ({ key, title, instruction, ...(icon && { icon: String(icon) }) }))
+});
+
+/**
+ * What a stored audit keeps of its profile: enough to render the report
+ * sections later without the prompt text.
+ */
+export const summarizeProfile = (profile) => ({
+  id: profile.id,
+  name: profile.name,
+  fields: profile.fields.map(({ key, title, icon }) => ({ key, title, icon }))
+});
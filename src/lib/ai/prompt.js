@@ -0,0 +1,52 @@
+import { DEFAULT_PROFILE, renderTemplate } from './profiles.js';
+
+/**
+ * Prompt and response shape shared by every AI provider, derived from the
+ * critique profile.
+ */
+export const buildReportSchema = (profile = DEFAULT_PROFILE) => {
+  const keys = [...profile.fields.map(field => field.key), 'verdict'];
+  return {
+    type: 'object',
+    properties: Object.fromEntries(keys.map(key => [key, { type: 'string' }])),
+    required: keys,
+    additionalProperties: false
+  };
+};
+
+export const REPORT_SCHEMA = buildReportSchema();
+
+// Multi-view audits name the images and list every face's proportion.
+const describeViews = (stats, views) => {
+  const lines = [];
+  if (views.length > 1) lines.push(`The images are the ${views.join(', ')} views of the same piece, in that order.`);
+  if (stats.faces?.length) {
+    lines.push(`Face proportions: ${stats.faces.map(f => `${f.label} ${f.ratio} (${f.targetSymbol} ${f.target}, score ${f.score})`).join('; ')}.`);
+  }
+  if (Number.isFinite(stats.volumetricScore)) lines.push(`Volumetric harmony score: ${stats.volumetricScore}/100.`);
+  return lines.map(line => `\n    ${line}`).join('');
+};
+
+export const buildAuditPrompt = (stats, profile = DEFAULT_PROFILE, views = ['front']) => ({
+  system: profile.system,
+  user: `${renderTemplate(profile.template, stats)}${describeViews(stats, views)}
+
+    Structure the response as a JSON object with:
+${profile.fields.map(field => `    - ${field.key}: ${field.instruction}`).join('\n')}
+    - verdict: ${profile.verdict}`
+});
+
+/**
+ * Follow-up for a reply that failed schema validation: the original request
+ * plus what was wrong and the offending text.
+ */
+export const buildRepairPrompt = (prompt, { raw, problems }) => ({
+  system: prompt.system,
+  user: `${prompt.user}
+
+    Your previous reply could not be used: ${problems.join('; ')}.
+    Previous reply:
+    ${String(raw).slice(0, 2000)}
+
+    Reply again with only the JSON object, exactly the string fields listed above.`
+});
@@ -0,0 +1,59 @@
+import { AuditError, httpError } from './errors.js';
+import { pickProfile } from './profiles.js';
+import { parseReport } from './schema.js';
+import { parseStreamChunk, readEventStream } from './stream.js';
+
+/**
+ * Sends the prepared images (one per view) and ratio stats to the app's own audit endpoint
+ * (server/index.mjs), which holds the model credential and builds the prompt
+ * from the critique profile sent alongside.
+ *
+ * Streamed responses are SSE events carrying one of { text } (a delta),
+ * { restart } (the server began a new attempt), { report } or { error }.
+ * Upstream failures carry the model service's `status` when it had one.
+ */
+export const createProxyProvider = ({ baseUrl = '' }) => ({
+  id: 'proxy',
+  audit: async ({ images, stats, profile, schema, signal, onText }) => {
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/api/audit`, {
+      method: 'POST',
+      signal,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ images, stats, profile: pickProfile(profile), stream: Boolean(onText) })
+    });
+
+    if (!response.ok) {
+      const error = httpError(response);
+      // The proxy knows whether its upstream failure is worth repeating.
+      const body = await response.json().catch(() => ({}));
+      if (typeof body.retryable === 'boolean') error.retryable = body.retryable;
+      if (body.error) error.details = body.error;
+      if (body.status) Object.assign(error, { code: `API_ERROR_${body.status}`, status: body.status });
+      throw error;
+    }
+
+    if (!onText) return parseReport(await response.json(), schema);
+
+    let content = '';
+    let report = null;
+    await readEventStream(response, (data) => {
+      const event = parseStreamChunk(data);
+      if (event.error) {
+        const status = event.status || 502;
+        throw new AuditError(`API_ERROR_${status}`, { status, retryable: event.retryable, retryAfter: event.retryAfter ?? null });
+      }
+      if (event.restart) content = '';
+      if (event.text) {
+        content += event.text;
+        onText(content);
+      }
+      if (event.report) report = event.report;
+    });
+
+    if (!report) {
+      throw new AuditError('EMPTY_RESPONSE', { retryable: true });
+    }
+
+    return parseReport(report, schema);
+  }
+});
@@ -0,0 +1,52 @@
+import { AuditError } from './errors.js';
+
+/**
+ * Checks `value` against the subset of JSON Schema the report schemas use
+ * (object, string, number, boolean, array; required; additionalProperties).
+ * Returns a list of problems, empty when valid.
+ */
+export const validateAgainstSchema = (value, schema, path = '$') => {
+  const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  const expected = schema.type === 'integer' ? 'number' : schema.type;
+  if (actual !== expected) return [`${path} should be ${schema.type}, got ${actual}`];
+
+  if (expected === 'string' && !value.trim()) return [`${path} is empty`];
+  if (expected === 'array' && schema.items) {
+    return value.flatMap((item, i) => validateAgainstSchema(item, schema.items, `${path}[${i}]`));
+  }
+  if (expected !== 'object') return [];
+
+  const properties = schema.properties || {};
+  const missing = (schema.required || []).filter(key => !(key in value)).map(key => `${path}.${key} is missing`);
+  const extra = schema.additionalProperties === false
+    ? Object.keys(value).filter(key => !(key in properties)).map(key => `${path}.${key} is not allowed`)
+    : [];
+  const nested = Object.entries(properties)
+    .filter(([key]) => key in value)
+    .flatMap(([key, child]) => validateAgainstSchema(value[key], child, `${path}.${key}`));
+  return [...missing, ...extra, ...nested];
+};
+
+// Some models wrap JSON in a markdown fence even in JSON mode.
+const stripFence = (text) => text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+/**
+ * Parses model output (text or an already-decoded object) and validates it.
+ * Throws INVALID_RESPONSE with the raw text and problems for a repair prompt.
+ */
+export const parseReport = (content, schema) => {
+  let report = content;
+  if (typeof content === 'string') {
+    try {
+      report = JSON.parse(stripFence(content));
+    } catch (e) {
+      throw new AuditError('INVALID_RESPONSE', { details: { raw: content, problems: ['reply is not valid JSON'] } });
+    }
+  }
+  const problems = validateAgainstSchema(report, schema);
+  if (problems.length) {
+    const raw = typeof content === 'string' ? content : JSON.stringify(content);
+    throw new AuditError('INVALID_RESPONSE', { details: { raw, problems } });
+  }
+  return report;
+};
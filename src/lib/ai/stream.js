@@ -0,0 +1,42 @@
+import { AuditError } from './errors.js';
+
+/**
+ * Readers for streamed fetch bodies: newline-delimited text (Ollama's
+ * NDJSON) and Server-Sent Events (Gemini, OpenAI, the audit proxy).
+ */
+export const readLines = async (response, onLine) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    const lines = buffer.split(/\r?\n/);
+    buffer = done ? '' : lines.pop();
+    lines.forEach(onLine);
+    if (done) return;
+  }
+};
+
+// A chunk that is not JSON is a broken reply, not a connectivity problem.
+export const parseStreamChunk = (data) => {
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    throw new AuditError('INVALID_RESPONSE', { details: { raw: data, problems: ['stream chunk is not valid JSON'] } });
+  }
+};
+
+// An event ends at a blank line; multi-line data fields join with newlines.
+export const readEventStream = async (response, onData) => {
+  let data = [];
+  await readLines(response, (line) => {
+    if (line.startsWith('data:')) {
+      data.push(line.slice(5).replace(/^ /, ''));
+    } else if (!line && data.length) {
+      onData(data.join('\n'));
+      data = [];
+    }
+  });
+  if (data.length) onData(data.join('\n'));
+};
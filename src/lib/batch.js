@@ -0,0 +1,146 @@
+/**
+ * Batch audit helpers: folder/multi-file drop collection, CSV manifest
+ * parsing and a bounded-concurrency work queue.
+ */
+import { analyzeProportions } from './proportions';
+import { canvasToBase64, loadImageCanvas } from './image';
+import { detectSilhouette } from './segmentation';
+import { DEFAULT_PROFILE, requestAudit, summarizeProfile } from './ai';
+
+const FILE_COLUMNS = ['filename', 'file', 'name', 'image', 'sku'];
+const HEIGHT_COLUMNS = ['height', 'h'];
+const WIDTH_COLUMNS = ['width', 'w'];
+
+export const isImageFile = (file) => file.type.startsWith('image/');
+export const isManifestFile = (file) => /\.csv$/i.test(file.name) || file.type === 'text/csv';
+
+// Manifest rows and files are matched on lower-case base name without extension.
+export const manifestKey = (name) => name.split(/[\\/]/).pop().replace(/\.[^.]+$/, '').trim().toLowerCase();
+
+const splitCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+/**
+ * Parses a filename,height,width CSV into a Map keyed by manifestKey. A
+ * header row is optional; when present, columns may appear in any order.
+ */
+export const parseManifest = (text) => {
+  const rows = text.split(/\r?\n/).filter(line => line.trim()).map(splitCsvLine);
+  if (!rows.length) return new Map();
+
+  const header = rows[0].map(h => h.toLowerCase().replace(/[\s_-]+/g, ''));
+  // Data rows carry at least two numbers (height and width); headers do not.
+  const hasHeader = rows[0].filter(f => Number.isFinite(parseFloat(f))).length < 2;
+  const column = (names, fallback) => {
+    const index = hasHeader ? header.findIndex(h => names.includes(h)) : -1;
+    return index >= 0 ? index : fallback;
+  };
+  const fileIndex = column(FILE_COLUMNS, 0);
+  const heightIndex = column(HEIGHT_COLUMNS, 1);
+  const widthIndex = column(WIDTH_COLUMNS, 2);
+
+  const manifest = new Map();
+  rows.slice(hasHeader ? 1 : 0).forEach(row => {
+    const height = parseFloat(row[heightIndex]);
+    const width = parseFloat(row[widthIndex]);
+    if (row[fileIndex] && height > 0 && width > 0) {
+      manifest.set(manifestKey(row[fileIndex]), { height, width });
+    }
+  });
+  return manifest;
+};
+
+const readEntry = (entry) => new Promise((resolve) => {
+  if (entry.isFile) {
+    entry.file(file => resolve([file]), () => resolve([]));
+    return;
+  }
+  const reader = entry.createReader();
+  const entries = [];
+  // readEntries returns at most ~100 entries per call; read until empty.
+  const readBatch = () => reader.readEntries(batch => {
+    if (batch.length) {
+      entries.push(...batch);
+      readBatch();
+    } else {
+      Promise.all(entries.map(readEntry)).then(nested => resolve(nested.flat()));
+    }
+  }, () => resolve([]));
+  readBatch();
+});
+
+/**
+ * Flattens a drop into File objects, descending into dropped folders.
+ * Entries must be taken synchronously inside the drop event.
+ */
+export const collectDroppedFiles = (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (!entries.length) return Promise.resolve(Array.from(dataTransfer.files || []));
+  return Promise.all(entries.map(readEntry)).then(nested => nested.flat());
+};
+
+/**
+ * Runs `worker` over `items` with at most `concurrency` in flight. Workers
+ * handle their own errors. Stops picking up new items once `isCancelled()`.
+ */
+export const runQueue = async (items, worker, { concurrency = 3, isCancelled = () => false } = {}) => {
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length && !isCancelled()) {
+      const item = items[next++];
+      await worker(item);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+};
+
+/**
+ * Audits one catalogue image: manifest dimensions when provided, otherwise
+ * the detected silhouette, otherwise the pixel frame. `onStage` receives the
+ * geometric result before the AI critique is requested; `signal` cancels it.
+ * Without a `provider` (local-only mode) the critique is skipped.
+ */
+export const auditFile = async (file, {
+  manifestDimensions, ratioOptions, provider, profile = DEFAULT_PROFILE, signal, onStage = () => {}
+}) => {
+  const { canvas, scale } = await loadImageCanvas(file);
+  let dimensions = manifestDimensions ? { ...manifestDimensions, source: 'manifest' } : null;
+  if (!dimensions) {
+    const silhouette = detectSilhouette(canvas, scale);
+    dimensions = silhouette
+      ? { height: Math.round(silhouette.box.height), width: Math.round(silhouette.box.width), unit: 'px', source: 'silhouette' }
+      : { height: Math.round(canvas.height / scale), width: Math.round(canvas.width / scale), unit: 'px', source: 'frame' };
+  }
+  const analysis = analyzeProportions(dimensions.height, dimensions.width, ratioOptions);
+  if (!provider) return { dimensions, analysis, aiReport: null, profile: summarizeProfile(profile) };
+  onStage({ status: 'critiquing', dimensions, analysis });
+  const aiReport = await requestAudit(provider, canvasToBase64(canvas), analysis, { profile, signal });
+  return { dimensions, analysis, aiReport, profile: summarizeProfile(profile) };
+};
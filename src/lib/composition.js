@@ -0,0 +1,117 @@
+import { GOLDEN_RATIO } from './proportions';
+
+/**
+ * Compositional overlays fitted to the subject's bounding box: the
+ * recursive golden-rectangle subdivision with its spiral, rule-of-thirds
+ * and phi grids, and which detected edges sit on those grid lines.
+ */
+
+export const GRIDS = {
+  thirds: { label: 'Thirds', fractions: [1 / 3, 2 / 3] },
+  phi: { label: 'Phi Grid', fractions: [1 - 1 / GOLDEN_RATIO, 1 / GOLDEN_RATIO] }
+};
+
+// Tolerance for an edge to count as sitting on a grid line, as a share of the box.
+export const ALIGNMENT_TOLERANCE = 0.02;
+
+// Square placement cycles left → top → right → bottom so each quarter arc
+// starts where the previous one ended.
+const DIRECTIONS = ['left', 'top', 'right', 'bottom'];
+
+const placeSquare = (rect, direction) => {
+  const { x, y, w, h } = rect;
+  switch (direction) {
+    case 'left':
+      return { square: { x, y, size: h }, from: { x, y: y + h }, to: { x: x + h, y }, rest: { x: x + h, y, w: w - h, h } };
+    case 'top':
+      return { square: { x, y, size: w }, from: { x, y }, to: { x: x + w, y: y + w }, rest: { x, y: y + w, w, h: h - w } };
+    case 'right':
+      return { square: { x: x + w - h, y, size: h }, from: { x: x + w, y }, to: { x: x + w - h, y: y + h }, rest: { x, y, w: w - h, h } };
+    default:
+      return { square: { x, y: y + h - w, size: w }, from: { x: x + w, y: y + h }, to: { x, y: y + h - w }, rest: { x, y, w, h: h - w } };
+  }
+};
+
+/**
+ * Builds the golden subdivision in a unit golden rectangle and stretches
+ * it onto `box`, so a box that is off-ratio shows up as non-square cells
+ * and an elliptical spiral. `flip` mirrors the spiral on either axis.
+ */
+export const goldenSubdivision = (box, { depth = 8, flip = {} } = {}) => {
+  const landscape = box.width >= box.height;
+  const unitW = landscape ? GOLDEN_RATIO : 1;
+  const unitH = landscape ? 1 : GOLDEN_RATIO;
+  const sx = box.width / unitW;
+  const sy = box.height / unitH;
+
+  const map = (p) => ({
+    x: box.x + (flip.horizontal ? unitW - p.x : p.x) * sx,
+    y: box.y + (flip.vertical ? unitH - p.y : p.y) * sy
+  });
+  // Mirroring on exactly one axis reverses the arc direction.
+  const sweep = flip.horizontal === flip.vertical ? 1 : 0;
+
+  const squares = [];
+  let rect = { x: 0, y: 0, w: unitW, h: unitH };
+  let path = '';
+  for (let i = 0; i < depth; i++) {
+    const step = placeSquare(rect, DIRECTIONS[(i + (landscape ? 0 : 1)) % 4]);
+    const a = map({ x: step.square.x, y: step.square.y });
+    const b = map({ x: step.square.x + step.square.size, y: step.square.y + step.square.size });
+    squares.push({ x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), width: Math.abs(b.x - a.x), height: Math.abs(b.y - a.y) });
+
+    const from = map(step.from);
+    const to = map(step.to);
+    if (!i) path = `M ${from.x},${from.y}`;
+    path += ` A ${step.square.size * sx},${step.square.size * sy} 0 0,${sweep} ${to.x},${to.y}`;
+    rect = step.rest;
+  }
+
+  return { squares, spiral: path };
+};
+
+/** Grid line positions for `kind` across the box, in image coordinates. */
+export const gridLines = (box, kind) => ({
+  vertical: GRIDS[kind].fractions.map(f => box.x + box.width * f),
+  horizontal: GRIDS[kind].fractions.map(f => box.y + box.height * f)
+});
+
+/**
+ * Matches edges ({ horizontal: [y], vertical: [x] }) to the lines of each
+ * enabled grid. Returns one entry per grid line that has an edge within
+ * tolerance, with the offset as a share of the box.
+ */
+export const findAlignments = (box, edges, kinds, tolerance = ALIGNMENT_TOLERANCE) => (
+  kinds.flatMap(kind => {
+    const lines = gridLines(box, kind);
+    return ['horizontal', 'vertical'].flatMap(axis => {
+      const extent = axis === 'horizontal' ? box.height : box.width;
+      return lines[axis].flatMap((line, i) => {
+        const nearest = (edges[axis] || []).reduce(
+          (best, position) => (best === null || Math.abs(position - line) < Math.abs(best - line) ? position : best),
+          null
+        );
+        if (nearest === null) return [];
+        const offset = Math.abs(nearest - line) / extent;
+        return offset <= tolerance
+          ? [{ kind, axis, line, edge: nearest, fraction: GRIDS[kind].fractions[i], offset }]
+          : [];
+      });
+    });
+  })
+);
+
+/**
+ * Edge positions worth testing against the grid: the silhouette's
+ * internal edges plus caliper endpoints.
+ */
+export const collectEdges = (silhouette, segments = []) => ({
+  horizontal: [
+    ...(silhouette?.horizontalEdges || []).map(e => e.position),
+    ...segments.flatMap(s => [s.start.y, s.end.y])
+  ],
+  vertical: [
+    ...(silhouette?.verticalEdges || []).map(e => e.position),
+    ...segments.flatMap(s => [s.start.x, s.end.x])
+  ]
+});
@@ -0,0 +1,52 @@
+import { describeAuditError, pickProfile, requestAudit } from './ai';
+import { deleteQueuedCritique, getAudit, listQueuedCritiques, saveAudit, saveQueuedCritique } from './history';
+
+/**
+ * Critiques deferred while offline. The exact request ({ images, stats,
+ * profile }) is queued against its archived audit, which is marked
+ * `critiqueStatus: 'queued'`, and replayed once the connection returns.
+ * Answering it stores the report on the audit and drops the request.
+ */
+
+export const queueCritique = (auditId, images, stats, profile) => (
+  saveQueuedCritique(auditId, { images, stats, profile: pickProfile(profile) })
+);
+
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// Applies `patch` to the stored audit; resolves to the updated record, or
+// null when the audit has been deleted meanwhile.
+const settle = async (auditId, patch) => {
+  const { critiqueStatus, critiqueError, ...record } = (await getAudit(auditId)) || {};
+  if (!record.id) return null;
+  const updated = { ...record, ...patch };
+  await saveAudit(updated);
+  return updated;
+};
+
+/**
+ * Replays every queued critique, oldest first, and calls `onAnswered` with
+ * each updated record. Stops early when the connection drops again or the
+ * service is temporarily failing; those stay queued for the next attempt.
+ * Any other failure would repeat on every replay, so it is recorded on the
+ * audit (`critiqueStatus: 'failed'`, `critiqueError`), passed to
+ * `onFailed` and dropped from the queue.
+ */
+export const flushCritiqueQueue = async (provider, { signal, onAnswered = () => {}, onFailed = () => {} } = {}) => {
+  for (const { auditId, images, stats, profile } of await listQueuedCritiques()) {
+    if (signal?.aborted || isOffline()) return;
+    let aiReport;
+    try {
+      aiReport = await requestAudit(provider, images, stats, { profile, signal });
+    } catch (e) {
+      if (e.code === 'ABORTED' || e.retryable) return;
+      const failed = await settle(auditId, { critiqueStatus: 'failed', critiqueError: describeAuditError(e) });
+      await deleteQueuedCritique(auditId);
+      if (failed) onFailed(failed);
+      continue;
+    }
+    const answered = await settle(auditId, { aiReport });
+    await deleteQueuedCritique(auditId);
+    if (answered) onAnswered(answered);
+  }
+};
@@ -0,0 +1,86 @@
+import { AuditError, DEFAULT_PROFILE, requestAudit } from './ai';
+import { deleteQueuedCritique, getAudit, listQueuedCritiques, saveAudit, saveQueuedCritique } from './history';
+import { flushCritiqueQueue, queueCritique } from './critiqueQueue';
+
+jest.mock('./ai', () => ({ ...jest.requireActual('./ai'), requestAudit: jest.fn() }));
+jest.mock('./history');
+
+const REPORT = { composition: 'c', geometry: 'g', styling: 's', verdict: 'Harmonic Study' };
+const request = auditId => ({ auditId, queuedAt: auditId, images: [{ view: 'front', image: 'AAAA' }], stats: { ratio: 1.6 }, profile: {} });
+const audit = id => ({ id, createdAt: id, fileName: `${id}.png`, aiReport: null, critiqueStatus: 'queued' });
+const provider = { id: 'test' };
+
+let archive;
+
+beforeEach(() => {
+  archive = new Map([[1, audit(1)], [2, audit(2)]]);
+  listQueuedCritiques.mockResolvedValue([request(1), request(2)]);
+  getAudit.mockImplementation(id => Promise.resolve(archive.get(id)));
+  saveAudit.mockImplementation(record => Promise.resolve(archive.set(record.id, record) && record.id));
+  deleteQueuedCritique.mockResolvedValue();
+  saveQueuedCritique.mockResolvedValue();
+});
+
+describe('queueCritique', () => {
+  it('stores the request against its audit', async () => {
+    await queueCritique(7, ['image'], { ratio: 2 }, { ...DEFAULT_PROFILE, builtin: true, extra: true });
+    expect(saveQueuedCritique).toHaveBeenCalledWith(7, expect.objectContaining({ images: ['image'], stats: { ratio: 2 } }));
+    expect(saveQueuedCritique.mock.calls[0][1].profile).not.toHaveProperty('extra');
+  });
+});
+
+describe('flushCritiqueQueue', () => {
+  it('answers every queued critique, oldest first', async () => {
+    requestAudit.mockResolvedValue(REPORT);
+    const onAnswered = jest.fn();
+
+    await flushCritiqueQueue(provider, { onAnswered });
+
+    expect(onAnswered.mock.calls.map(([record]) => record.id)).toEqual([1, 2]);
+    expect(archive.get(1)).toEqual({ id: 1, createdAt: 1, fileName: '1.png', aiReport: REPORT });
+    expect(deleteQueuedCritique).toHaveBeenCalledWith(1);
+    expect(deleteQueuedCritique).toHaveBeenCalledWith(2);
+  });
+
+  it('records a failure that would repeat and drops the request', async () => {
+    requestAudit.mockRejectedValueOnce(new AuditError('API_ERROR_400', { status: 400 })).mockResolvedValue(REPORT);
+    const onFailed = jest.fn();
+    const onAnswered = jest.fn();
+
+    await flushCritiqueQueue(provider, { onFailed, onAnswered });
+
+    expect(archive.get(1)).toMatchObject({ aiReport: null, critiqueStatus: 'failed', critiqueError: 'Critique request was rejected (400).' });
+    expect(onFailed).toHaveBeenCalledWith(archive.get(1));
+    expect(deleteQueuedCritique).toHaveBeenCalledWith(1);
+    expect(onAnswered).toHaveBeenCalledWith(archive.get(2));
+  });
+
+  it('keeps critiques queued while the service is unreachable', async () => {
+    requestAudit.mockRejectedValue(new AuditError('NETWORK_ERROR', { retryable: true }));
+
+    await flushCritiqueQueue(provider);
+
+    expect(requestAudit).toHaveBeenCalledTimes(1);
+    expect(saveAudit).not.toHaveBeenCalled();
+    expect(deleteQueuedCritique).not.toHaveBeenCalled();
+  });
+
+  it('drops the request of a deleted audit', async () => {
+    archive.delete(1);
+    requestAudit.mockResolvedValue(REPORT);
+    const onAnswered = jest.fn();
+
+    await flushCritiqueQueue(provider, { onAnswered });
+
+    expect(deleteQueuedCritique).toHaveBeenCalledWith(1);
+    expect(onAnswered.mock.calls.map(([record]) => record.id)).toEqual([2]);
+  });
+
+  it('sends nothing while offline', async () => {
+    jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+
+    await flushCritiqueQueue(provider);
+
+    expect(requestAudit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,233 @@
+import { canvasToBlob, loadImageCanvas } from './image';
+import { renderSafely } from './format';
+import { goldenSubdivision } from './composition';
+import { DEFAULT_PROFILE } from './ai';
+import { formatDimensions } from './units';
+import { targetCaption } from './proportions';
+
+/**
+ * Audit deliverables: annotated PNG, full-data JSON and a one-page PDF.
+ * `audit` is { fileName, createdAt, dimensions, analysis, ratioTarget,
+ * volume, harmonics, aiReport, profile, measurements, silhouette };
+ * `profile` is the stored summary whose fields name the report sections,
+ * `volume` (three-view audits only) the per-face scores and `aiReport` is
+ * null for an audit without a critique.
+ */
+
+const EXPORT_WIDTH = 2048;
+const GOLD = '#d4af37';
+const CYAN = '#00d9ff';
+const ROSE = '#f43f5e';
+
+const baseName = (fileName) => fileName.replace(/\.[^.]+$/, '');
+
+export const downloadBlob = (blob, name) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const scaleBox = (box, scale) => ({ x: box.x * scale, y: box.y * scale, width: box.width * scale, height: box.height * scale });
+
+// Same subdivision and spiral as the Live HUD, burned into the image.
+const drawGoldenOverlay = (ctx, box, unit) => {
+  const { squares, spiral } = goldenSubdivision(box);
+  ctx.strokeStyle = GOLD;
+  ctx.lineWidth = unit;
+  ctx.setLineDash([]);
+  ctx.strokeRect(box.x, box.y, box.width, box.height);
+
+  ctx.setLineDash([unit * 4, unit * 4]);
+  squares.forEach(s => ctx.strokeRect(s.x, s.y, s.width, s.height));
+
+  ctx.setLineDash([]);
+  ctx.lineWidth = unit * 1.5;
+  ctx.stroke(new Path2D(spiral));
+};
+
+const drawSegment = (ctx, segment, scale, color, unit, label) => {
+  const start = { x: segment.start.x * scale, y: segment.start.y * scale };
+  const end = { x: segment.end.x * scale, y: segment.end.y * scale };
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = unit;
+  ctx.setLineDash([]);
+  ctx.beginPath();
+  ctx.moveTo(start.x, start.y);
+  ctx.lineTo(end.x, end.y);
+  ctx.stroke();
+  [start, end].forEach(p => {
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, unit * 2.5, 0, Math.PI * 2);
+    ctx.fill();
+  });
+  if (label) {
+    ctx.font = `900 ${unit * 10}px monospace`;
+    ctx.fillText(label, (start.x + end.x) / 2 + unit * 4, (start.y + end.y) / 2);
+  }
+};
+
+/**
+ * Draws the golden-rectangle overlay, measurements and score onto a
+ * full-resolution copy of the photo. Resolves to the canvas.
+ */
+export const renderAnnotatedImage = async ({ file, analysis, measurements, silhouette }) => {
+  const { canvas, scale } = await loadImageCanvas(file, EXPORT_WIDTH);
+  const ctx = canvas.getContext('2d');
+  const unit = Math.max(canvas.width, canvas.height) / 500;
+
+  const subject = measurements?.box || silhouette?.box;
+  drawGoldenOverlay(ctx, subject ? scaleBox(subject, scale) : { x: 0, y: 0, width: canvas.width, height: canvas.height }, unit);
+
+  if (measurements?.box) {
+    const box = scaleBox(measurements.box, scale);
+    ctx.strokeStyle = CYAN;
+    ctx.lineWidth = unit;
+    ctx.setLineDash([unit * 6, unit * 4]);
+    ctx.strokeRect(box.x, box.y, box.width, box.height);
+  }
+  (measurements?.segments || []).forEach((segment, i) => drawSegment(ctx, segment, scale, GOLD, unit, String(i + 1)));
+  if (measurements?.reference) drawSegment(ctx, measurements.reference, scale, ROSE, unit, 'REF');
+
+  const stamp = `${analysis.score} / 100  •  ${analysis.ratio} vs ${analysis.targetSymbol} ${analysis.target}`;
+  ctx.font = `900 ${unit * 12}px sans-serif`;
+  const padding = unit * 6;
+  const textWidth = ctx.measureText(stamp).width;
+  ctx.fillStyle = 'rgba(10,10,26,0.75)';
+  ctx.fillRect(padding, canvas.height - padding - unit * 20, textWidth + padding * 2, unit * 20);
+  ctx.fillStyle = analysis.score >= 90 ? GOLD : '#ffffff';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(stamp, padding * 2, canvas.height - padding - unit * 10);
+
+  return canvas;
+};
+
+export const exportPng = async (audit) => {
+  const canvas = await renderAnnotatedImage(audit);
+  downloadBlob(await canvasToBlob(canvas), `${baseName(audit.fileName)}-annotated.png`);
+};
+
+export const exportJson = (audit) => {
+  const { fileName, createdAt, dimensions, analysis, ratioTarget, volume, harmonics, aiReport = null, profile, measurements } = audit;
+  const payload = {
+    exportedAt: new Date().toISOString(), fileName, createdAt, profile, dimensions, analysis, ratioTarget, volume, harmonics, aiReport, measurements
+  };
+  downloadBlob(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }), `${baseName(fileName)}-audit.json`);
+};
+
+// The PDF standard fonts only cover Latin-1, so ratio symbols and
+// typographic punctuation are spelled out or flattened.
+const pdfText = (value) => String(renderSafely(value))
+  .replace(/φ/g, 'phi')
+  .replace(/√/g, 'sqrt')
+  .replace(/δs/g, 'silver')
+  .replace(/[•·]/g, '-')
+  .replace(/×/g, 'x')
+  .replace(/→/g, '->')
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/[–—]/g, '-')
+  .replace(/[^\n\x20-\xFF]/g, '');
+
+export const exportPdf = async (audit) => {
+  const { jsPDF } = await import('jspdf');
+  const canvas = await renderAnnotatedImage(audit);
+  const { analysis, aiReport } = audit;
+
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 48;
+  const contentWidth = pageWidth - margin * 2;
+  let y = margin;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - margin) {
+      doc.addPage();
+      y = margin;
+    }
+  };
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.text('PHIDIAS SCALE - DESIGN AUDIT', margin, y + 14);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(120);
+  const subtitle = [audit.fileName, new Date(audit.createdAt || Date.now()).toLocaleString()];
+  if (audit.dimensions?.height) subtitle.push(formatDimensions(audit.dimensions));
+  doc.text(pdfText(subtitle.join(' - ')), margin, y + 30);
+  y += 48;
+
+  const imageHeight = Math.min(300, contentWidth * (canvas.height / canvas.width));
+  const imageWidth = imageHeight * (canvas.width / canvas.height);
+  doc.addImage(canvas.toDataURL('image/jpeg', 0.85), 'JPEG', margin + (contentWidth - imageWidth) / 2, y, imageWidth, imageHeight);
+  y += imageHeight + 28;
+
+  doc.setTextColor(20);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(40);
+  doc.text(`${analysis.score}`, margin, y + 30);
+  doc.setFontSize(14);
+  doc.setTextColor(150);
+  doc.text('/ 100', margin + doc.getTextWidth(`${analysis.score}`) * (40 / 14) + 8, y + 30);
+  doc.setTextColor(20);
+  doc.setFontSize(12);
+  doc.text(pdfText(aiReport?.verdict || ''), pageWidth - margin, y + 30, { align: 'right' });
+  y += 56;
+
+  const metrics = [
+    ['Observed', analysis.ratio],
+    [targetCaption(analysis, audit.ratioTarget), analysis.target],
+    ['Variance', `${analysis.variance}%`]
+  ];
+  metrics.forEach(([label, value], i) => {
+    const x = margin + (contentWidth / 3) * i;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(7);
+    doc.setTextColor(140);
+    doc.text(pdfText(label).toUpperCase(), x, y);
+    doc.setFont('courier', 'bold');
+    doc.setFontSize(14);
+    doc.setTextColor(20);
+    doc.text(pdfText(value), x, y + 18);
+  });
+  y += 44;
+
+  if (audit.volume) {
+    const faces = audit.volume.faces.map(face => `${face.label} ${face.ratio} (${face.score})`);
+    if (audit.volume.volumetricScore !== null) faces.push(`Volumetric ${audit.volume.volumetricScore}`);
+    doc.setFont('courier', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(90);
+    doc.text(pdfText(faces.join('  |  ')), margin, y);
+    y += 24;
+  }
+
+  if (aiReport) {
+    (audit.profile || DEFAULT_PROFILE).fields.forEach(({ key, title }) => {
+      const lines = doc.splitTextToSize(pdfText(aiReport[key]), contentWidth);
+      ensureSpace(24 + lines.length * 13);
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(8);
+      doc.setTextColor(0, 150, 180);
+      doc.text(title.toUpperCase(), margin, y);
+      doc.setFont('helvetica', 'italic');
+      doc.setFontSize(10);
+      doc.setTextColor(40);
+      doc.text(lines, margin, y + 16);
+      y += 28 + lines.length * 13;
+    });
+  } else {
+    // Local-only audits and failed critiques export the analysis alone.
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(10);
+    doc.setTextColor(120);
+    doc.text('No critique was generated for this audit.', margin, y);
+  }
+
+  doc.save(`${baseName(audit.fileName)}-audit.pdf`);
+};
@@ -0,0 +1,19 @@
+/**
+ * Coerces model output into something React can render as text.
+ */
+export const renderSafely = (val) => {
+  if (val === null || val === undefined) return '';
+  if (typeof val === 'string' || typeof val === 'number') return val;
+  if (typeof val === 'object') {
+    if (val.$$typeof) return ''; 
+    try {
+      return Object.entries(val)
+        .map(([k, v]) => {
+          const key = k.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+          return `${key}: ${typeof v === 'object' ? JSON.stringify(v) : v}`;
+        })
+        .join(' • ');
+    } catch (e) { return JSON.stringify(val); }
+  }
+  return String(val);
+};
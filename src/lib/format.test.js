@@ -0,0 +1,35 @@
+import React from 'react';
+import { renderSafely } from './format';
+
+describe('renderSafely', () => {
+  it.each([null, undefined])('renders %p as an empty string', value => {
+    expect(renderSafely(value)).toBe('');
+  });
+
+  it('passes strings and numbers through', () => {
+    expect(renderSafely('Harmonic Study')).toBe('Harmonic Study');
+    expect(renderSafely(1.618)).toBe(1.618);
+    expect(renderSafely(0)).toBe(0);
+    expect(renderSafely('')).toBe('');
+  });
+
+  it('flattens objects into titled pairs', () => {
+    expect(renderSafely({ visual_weight: 'low', balance: 'even' })).toBe('Visual Weight: low • Balance: even');
+  });
+
+  it('serialises nested values', () => {
+    expect(renderSafely({ notes: ['a', 'b'], detail: { level: 2 } })).toBe('Notes: ["a","b"] • Detail: {"level":2}');
+  });
+
+  it('renders an empty object as an empty string', () => {
+    expect(renderSafely({})).toBe('');
+  });
+
+  it('drops React elements', () => {
+    expect(renderSafely(<span>hi</span>)).toBe('');
+  });
+
+  it('stringifies everything else', () => {
+    expect(renderSafely(true)).toBe('true');
+  });
+});
@@ -0,0 +1,129 @@
+import { analyzeProportions, AUTO_TARGET } from './proportions';
+
+// Matches the gold threshold used for the headline geometric score.
+export const IN_PROPORTION_SCORE = 90;
+
+// Largest whole-number multiple a module may take before the relationship
+// stops being legible as "modular".
+const MAX_MODULE_MULTIPLE = 24;
+const MAX_MODULE_DIVISOR = 8;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const rms = (values, centre) => Math.sqrt(mean(values.map(v => (v - centre) ** 2)));
+
+// Relative error → 0-100 fit, on the same slope as analyzeProportions' score.
+const toFit = (error) => Math.max(0, Math.min(100, Math.round(100 - (error * 100 * 2))));
+
+const fibonacciError = (lengths) => {
+  const errors = lengths.slice(2).map((length, i) => {
+    const expected = lengths[i] + lengths[i + 1];
+    return Math.abs(length - expected) / expected;
+  });
+  return mean(errors);
+};
+
+const detectFibonacci = (lengths) => {
+  const error = Math.min(fibonacciError(lengths), fibonacciError([...lengths].reverse()));
+  return { id: 'fibonacci', label: 'Fibonacci', fit: toFit(error), detail: 'Each segment ≈ sum of the two before' };
+};
+
+const detectGeometric = (lengths, ratioOptions) => {
+  const logs = lengths.slice(1).map((length, i) => Math.log(length / lengths[i]));
+  const centre = mean(logs);
+  const common = Math.exp(Math.abs(centre));
+  const match = analyzeProportions(common, 1, { ...ratioOptions, target: AUTO_TARGET });
+  return {
+    id: 'geometric',
+    label: 'Geometric',
+    fit: toFit(rms(logs, centre)),
+    detail: `Common ratio ${common.toFixed(3)} (nearest ${match.targetSymbol})`
+  };
+};
+
+const detectArithmetic = (lengths) => {
+  const steps = lengths.slice(1).map((length, i) => length - lengths[i]);
+  const centre = mean(steps);
+  return {
+    id: 'arithmetic',
+    label: 'Arithmetic',
+    fit: toFit(rms(steps, centre) / mean(lengths)),
+    detail: `Common step ${centre.toFixed(2)}`
+  };
+};
+
+const detectModule = (lengths) => {
+  const smallest = Math.min(...lengths);
+  let best = null;
+  for (let divisor = 1; divisor <= MAX_MODULE_DIVISOR; divisor++) {
+    const module = smallest / divisor;
+    const multiples = lengths.map(length => Math.round(length / module));
+    if (Math.max(...multiples) > MAX_MODULE_MULTIPLE) break;
+    const error = mean(lengths.map((length, i) => Math.abs(length - multiples[i] * module) / length));
+    // Prefer the coarsest module unless a finer one fits clearly better.
+    if (!best || error < best.error - 0.01) best = { module, multiples, error };
+  }
+  if (!best) {
+    return { id: 'modular', label: 'Modular', fit: 0, detail: 'Span too wide for a shared module', multiples: null };
+  }
+  return {
+    id: 'modular',
+    label: 'Modular',
+    fit: toFit(best.error),
+    detail: `Module ${best.module.toFixed(2)} × ${best.multiples.join(' : ')}`,
+    multiples: best.multiples
+  };
+};
+
+/**
+ * Harmonic analysis of an ordered list of segments ({ label, length }).
+ * Adjacent pairs are scored with analyzeProportions; with three or more
+ * segments the sequence is also tested for Fibonacci, geometric, arithmetic
+ * and whole-number modular progressions. Returns null below two segments.
+ */
+export const analyzeHarmonics = (segments, ratioOptions) => {
+  const valid = segments.filter(s => s.length > 0);
+  if (valid.length < 2) return null;
+  const lengths = valid.map(s => s.length);
+
+  const pairs = valid.slice(1).map((segment, i) => {
+    const result = analyzeProportions(valid[i].length, segment.length, ratioOptions);
+    return {
+      from: valid[i].label,
+      to: segment.label,
+      ratio: result.ratio,
+      target: result.target,
+      targetSymbol: result.targetSymbol,
+      score: result.score,
+      inProportion: result.score >= IN_PROPORTION_SCORE
+    };
+  });
+
+  const progressions = valid.length >= 3
+    ? [detectFibonacci(lengths), detectGeometric(lengths, ratioOptions), detectArithmetic(lengths), detectModule(lengths)]
+        .sort((a, b) => b.fit - a.fit)
+    : [];
+  const modular = progressions.find(p => p.id === 'modular');
+
+  const total = lengths.reduce((sum, l) => sum + l, 0);
+  const breakdown = valid.map((segment, i) => {
+    const adjacent = [pairs[i - 1], pairs[i]].filter(Boolean);
+    return {
+      label: segment.label,
+      length: segment.length,
+      share: Number(((segment.length / total) * 100).toFixed(1)),
+      score: Math.round(mean(adjacent.map(p => p.score))),
+      multiple: modular?.multiples ? modular.multiples[i] : null
+    };
+  });
+
+  const pairScore = mean(pairs.map(p => p.score));
+  const best = progressions[0] || null;
+
+  return {
+    score: Math.round(best ? (pairScore + best.fit) / 2 : pairScore),
+    progression: best,
+    progressions,
+    pairs,
+    breakdown
+  };
+};
@@ -0,0 +1,93 @@
+import { loadImageCanvas } from './image';
+
+/**
+ * Audit history persisted in IndexedDB. Records are plain objects:
+ * { id, createdAt, fileName, thumbnail, dimensions, analysis, harmonics, aiReport }.
+ * Critiques deferred while offline live in their own store, keyed by the
+ * audit they answer, so the images are written once rather than with
+ * every edit of the record.
+ */
+const DB_NAME = 'phidias-scale';
+const DB_VERSION = 1;
+const STORE = 'audits';
+const QUEUE_STORE = 'critiques';
+const THUMBNAIL_WIDTH = 160;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('createdAt', 'createdAt');
+        db.createObjectStore(QUEUE_STORE, { keyPath: 'auditId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (mode, operation, storeName = STORE) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+/**
+ * Inserts or updates an audit. Returns its id.
+ */
+export const saveAudit = ({ id, ...record }) => run('readwrite', store => store.put(id ? { id, ...record } : record));
+
+export const listAudits = async () => {
+  const audits = await run('readonly', store => store.getAll());
+  return audits.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const getAudit = (id) => run('readonly', store => store.get(id));
+
+export const deleteAudit = async (id) => {
+  await run('readwrite', store => store.delete(id));
+  await run('readwrite', store => store.delete(id), QUEUE_STORE);
+};
+
+/** Stores the critique request for audit `auditId`: { images, stats, profile }. */
+export const saveQueuedCritique = (auditId, request) => (
+  run('readwrite', store => store.put({ auditId, queuedAt: Date.now(), ...request }), QUEUE_STORE)
+);
+
+/** Queued critique requests, oldest first. */
+export const listQueuedCritiques = async () => {
+  const queued = await run('readonly', store => store.getAll(), QUEUE_STORE);
+  return queued.sort((a, b) => a.queuedAt - b.queuedAt);
+};
+
+export const deleteQueuedCritique = (auditId) => run('readwrite', store => store.delete(auditId), QUEUE_STORE);
+
+export const createThumbnail = (file) => (
+  loadImageCanvas(file, THUMBNAIL_WIDTH).then(({ canvas }) => canvas.toDataURL('image/jpeg', 0.8))
+);
+
+/**
+ * Case-insensitive match against file name, verdict and critique text.
+ */
+export const matchesQuery = (audit, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return true;
+  const haystack = [audit.fileName, ...Object.values(audit.aiReport || {})]
+    .filter(v => typeof v === 'string')
+    .join(' ')
+    .toLowerCase();
+  return haystack.includes(needle);
+};
@@ -0,0 +1,173 @@
+/**
+ * Perspective rectification. Four marked corners of a real-world rectangle
+ * define a homography onto a fronto-parallel plane; the whole photo is then
+ * resampled through it. A single-coefficient radial model (k1) optionally
+ * removes barrel or pincushion distortion first.
+ */
+
+const MAX_OUTPUT = 1600;
+// Points near the vanishing line map towards infinity; the output canvas is
+// limited to this many rectangle-widths around the marked quad.
+const MAX_EXTENT = 3;
+
+const solve = (matrix, vector) => {
+  const n = vector.length;
+  const rows = matrix.map((row, i) => [...row, vector[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-12) return null;
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const factor = rows[r][col] / rows[col][col];
+      for (let c = col; c <= n; c++) rows[r][c] -= factor * rows[col][c];
+    }
+  }
+  return rows.map((row, i) => row[n] / row[i]);
+};
+
+/**
+ * 3×3 homography (row-major, 9 values) mapping four `from` points to four `to` points.
+ */
+export const computeHomography = (from, to) => {
+  const matrix = [];
+  const vector = [];
+  from.forEach(({ x, y }, i) => {
+    const { x: u, y: v } = to[i];
+    matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    vector.push(u);
+    matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    vector.push(v);
+  });
+  const h = solve(matrix, vector);
+  return h ? [...h, 1] : null;
+};
+
+export const applyHomography = (h, { x, y }) => {
+  const w = h[6] * x + h[7] * y + h[8];
+  return { x: (h[0] * x + h[1] * y + h[2]) / w, y: (h[3] * x + h[4] * y + h[5]) / w, w };
+};
+
+export const invertHomography = (h) => {
+  const [a, b, c, d, e, f, g, i, j] = h;
+  const det = a * (e * j - f * i) - b * (d * j - f * g) + c * (d * i - e * g);
+  if (Math.abs(det) < 1e-12) return null;
+  return [
+    (e * j - f * i) / det, (c * i - b * j) / det, (b * f - c * e) / det,
+    (f * g - d * j) / det, (a * j - c * g) / det, (c * d - a * f) / det,
+    (d * i - e * g) / det, (b * g - a * i) / det, (a * e - b * d) / det
+  ];
+};
+
+/**
+ * Orders four clicked points as top-left, top-right, bottom-right, bottom-left.
+ */
+export const orderCorners = (points) => {
+  const cx = points.reduce((s, p) => s + p.x, 0) / points.length;
+  const cy = points.reduce((s, p) => s + p.y, 0) / points.length;
+  const sorted = [...points].sort((p, q) => Math.atan2(p.y - cy, p.x - cx) - Math.atan2(q.y - cy, q.x - cx));
+  // atan2 sorting starts at the left; rotate so the top-left corner leads.
+  const start = sorted.reduce((best, p, i) => (p.x + p.y < sorted[best].x + sorted[best].y ? i : best), 0);
+  return [...sorted.slice(start), ...sorted.slice(0, start)];
+};
+
+const length = (p, q) => Math.hypot(q.x - p.x, q.y - p.y);
+
+/**
+ * Radial lens model around the image centre. Distortion is applied when
+ * sampling; marked points are undistorted by fixed-point iteration.
+ */
+const lensModel = (size, k1) => {
+  const cx = size.width / 2;
+  const cy = size.height / 2;
+  const norm = Math.hypot(cx, cy);
+  const distort = ({ x, y }) => {
+    const nx = (x - cx) / norm;
+    const ny = (y - cy) / norm;
+    const factor = 1 + k1 * (nx * nx + ny * ny);
+    return { x: cx + nx * factor * norm, y: cy + ny * factor * norm };
+  };
+  const undistort = ({ x, y }) => {
+    let ux = x;
+    let uy = y;
+    for (let i = 0; i < 10; i++) {
+      const d = distort({ x: ux, y: uy });
+      ux += x - d.x;
+      uy += y - d.y;
+    }
+    return { x: ux, y: uy };
+  };
+  return { distort, undistort };
+};
+
+/**
+ * Warps `canvas` so the quad `corners` (canvas pixels, any order) becomes a
+ * rectangle. `aspect` is the real rectangle's width / height; when omitted
+ * it is estimated from the quad's mean side lengths. Returns a new canvas,
+ * or null when the corners are degenerate.
+ */
+export const rectifyCanvas = (canvas, corners, { aspect, k1 = 0 } = {}) => {
+  const lens = lensModel(canvas, k1);
+  const [tl, tr, br, bl] = orderCorners(corners).map(lens.undistort);
+
+  const rectWidth = (length(tl, tr) + length(bl, br)) / 2;
+  const rectHeight = aspect > 0 ? rectWidth / aspect : (length(tl, bl) + length(tr, br)) / 2;
+  if (!rectWidth || !rectHeight) return null;
+
+  const h = computeHomography(
+    [tl, tr, br, bl],
+    [{ x: 0, y: 0 }, { x: rectWidth, y: 0 }, { x: rectWidth, y: rectHeight }, { x: 0, y: rectHeight }]
+  );
+  if (!h) return null;
+
+  const limit = MAX_EXTENT * Math.max(rectWidth, rectHeight);
+  const mapped = [
+    { x: 0, y: 0 }, { x: canvas.width, y: 0 }, { x: canvas.width, y: canvas.height }, { x: 0, y: canvas.height }
+  ].map(p => applyHomography(h, lens.undistort(p)));
+  const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+  const xs = mapped.map(p => (p.w > 0 ? clamp(p.x, -limit, rectWidth + limit) : null)).filter(v => v !== null);
+  const ys = mapped.map(p => (p.w > 0 ? clamp(p.y, -limit, rectHeight + limit) : null)).filter(v => v !== null);
+  const minX = Math.min(0, ...xs);
+  const minY = Math.min(0, ...ys);
+  const spanX = Math.max(rectWidth, ...xs) - minX;
+  const spanY = Math.max(rectHeight, ...ys) - minY;
+  const scale = Math.min(1, MAX_OUTPUT / Math.max(spanX, spanY));
+
+  const output = document.createElement('canvas');
+  output.width = Math.round(spanX * scale);
+  output.height = Math.round(spanY * scale);
+
+  const inverse = invertHomography(h);
+  const source = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  const target = output.getContext('2d').createImageData(output.width, output.height);
+  const { data: src } = source;
+  const { data: dst } = target;
+
+  for (let y = 0; y < output.height; y++) {
+    for (let x = 0; x < output.width; x++) {
+      const plane = applyHomography(inverse, { x: x / scale + minX, y: y / scale + minY });
+      if (plane.w <= 0) continue;
+      const { x: sx, y: sy } = lens.distort(plane);
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      if (x0 < 0 || y0 < 0 || x0 >= canvas.width - 1 || y0 >= canvas.height - 1) continue;
+      const fx = sx - x0;
+      const fy = sy - y0;
+      const i00 = (y0 * canvas.width + x0) * 4;
+      const i10 = i00 + 4;
+      const i01 = i00 + canvas.width * 4;
+      const i11 = i01 + 4;
+      const o = (y * output.width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        dst[o + c] = (src[i00 + c] * (1 - fx) + src[i10 + c] * fx) * (1 - fy)
+          + (src[i01 + c] * (1 - fx) + src[i11 + c] * fx) * fy;
+      }
+    }
+  }
+
+  output.getContext('2d').putImageData(target, 0, 0);
+  return output;
+};
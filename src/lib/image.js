@@ -0,0 +1,53 @@
+const MAX_WIDTH = 1024;
+
+/** Downscale factor that fits `width` within `maxWidth`; never enlarges. */
+export const fitScale = (width, maxWidth = MAX_WIDTH) => (width > maxWidth ? maxWidth / width : 1);
+
+/**
+ * Decodes a file onto a canvas no wider than `maxWidth`. `scale` maps
+ * canvas pixels back to the image's natural pixels (natural = canvas / scale).
+ * Rejects when the file cannot be read or the browser cannot decode it.
+ */
+export const loadImageCanvas = (file, maxWidth = MAX_WIDTH) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.readAsDataURL(file);
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+    reader.onload = (event) => {
+      const img = new Image();
+      img.onerror = () => reject(new Error(`Could not decode ${file.name}`));
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        const scale = fitScale(img.width, maxWidth);
+        canvas.width = img.width * scale;
+        canvas.height = img.height * scale;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        resolve({ canvas, scale });
+      };
+      img.src = event.target.result;
+    };
+  });
+};
+
+// Using PNG for better clarity in geometric analysis if possible,
+// falling back to JPEG for speed.
+export const canvasToBase64 = (canvas) => canvas.toDataURL('image/png').split(',')[1];
+
+/**
+ * Utility to compress/resize image before sending to AI
+ */
+export const prepareImageForAI = (file) => {
+  return loadImageCanvas(file).then(({ canvas }) => canvasToBase64(canvas));
+};
+
+/** Encodes a canvas; rejects when the browser cannot (too large, out of memory). */
+export const canvasToBlob = (canvas, type = 'image/png', quality) => {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), type, quality);
+  });
+};
+
+export const canvasToFile = (canvas, name) => {
+  return canvasToBlob(canvas).then(blob => new File([blob], name, { type: 'image/png' }));
+};
@@ -0,0 +1,86 @@
+import { canvasToBase64, canvasToFile, fitScale, loadImageCanvas, prepareImageForAI } from './image';
+
+const photo = () => new File(['fake image bytes'], 'chair.png', { type: 'image/png' });
+
+describe('fitScale', () => {
+  it('leaves images within the limit alone', () => {
+    expect(fitScale(800, 1024)).toBe(1);
+    expect(fitScale(1024, 1024)).toBe(1);
+  });
+
+  it('shrinks wider images to the limit', () => {
+    expect(fitScale(2048, 1024)).toBe(0.5);
+    expect(fitScale(4000)).toBe(0.256);
+  });
+
+  it('never enlarges', () => {
+    expect(fitScale(1, 1024)).toBe(1);
+    expect(fitScale(0, 1024)).toBe(1);
+  });
+});
+
+describe('loadImageCanvas', () => {
+  it('keeps small images at natural size', async () => {
+    window.Image.size = { width: 600, height: 900 };
+    const { canvas, scale } = await loadImageCanvas(photo());
+    expect(scale).toBe(1);
+    expect([canvas.width, canvas.height]).toEqual([600, 900]);
+  });
+
+  it('downscales wide images and keeps the aspect ratio', async () => {
+    window.Image.size = { width: 4096, height: 2048 };
+    const { canvas, scale } = await loadImageCanvas(photo());
+    expect(scale).toBe(0.25);
+    expect([canvas.width, canvas.height]).toEqual([1024, 512]);
+  });
+
+  it('honours a custom width', async () => {
+    window.Image.size = { width: 1600, height: 1000 };
+    const { canvas, scale } = await loadImageCanvas(photo(), 160);
+    expect(scale).toBe(0.1);
+    expect([canvas.width, canvas.height]).toEqual([160, 100]);
+  });
+
+  it('rejects an image the browser cannot decode', async () => {
+    window.Image.undecodable = ['not a png'];
+    const corrupt = new File(['not a png'], 'chair.heic', { type: 'image/heic' });
+    await expect(loadImageCanvas(corrupt)).rejects.toThrow('Could not decode chair.heic');
+    await expect(prepareImageForAI(corrupt)).rejects.toThrow('Could not decode chair.heic');
+  });
+
+  it('rejects a file that cannot be read', async () => {
+    jest.spyOn(FileReader.prototype, 'readAsDataURL').mockImplementation(function () {
+      setTimeout(() => this.onerror(new Event('error')));
+    });
+    await expect(loadImageCanvas(photo())).rejects.toThrow('Could not read chair.png');
+  });
+
+  it('draws the decoded image onto the canvas', async () => {
+    const { canvas } = await loadImageCanvas(photo());
+    expect(canvas.getContext).toHaveBeenCalledWith('2d');
+  });
+});
+
+describe('AI payloads', () => {
+  it('strips the data URL prefix', () => {
+    const canvas = document.createElement('canvas');
+    expect(canvasToBase64(canvas)).toBe('AAAA');
+    expect(canvas.toDataURL).toHaveBeenCalledWith('image/png');
+  });
+
+  it('prepares a file as bare PNG base64', async () => {
+    await expect(prepareImageForAI(photo())).resolves.toBe('AAAA');
+  });
+
+  it('rejects when the canvas cannot be encoded', async () => {
+    HTMLCanvasElement.prototype.toBlob.mockImplementation(callback => callback(null));
+    await expect(canvasToFile(document.createElement('canvas'), 'rectified.png')).rejects.toThrow('Could not encode the image');
+  });
+
+  it('wraps a canvas as a named PNG file', async () => {
+    const file = await canvasToFile(document.createElement('canvas'), 'rectified.png');
+    expect(file).toBeInstanceOf(File);
+    expect(file.name).toBe('rectified.png');
+    expect(file.type).toBe('image/png');
+  });
+});
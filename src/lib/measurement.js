@@ -0,0 +1,40 @@
+/**
+ * Geometry for the on-image measurement layer. Every point lives in the
+ * photo's natural pixel space, so lengths do not depend on render size.
+ */
+import { convertLength, formatDimension, parseLength } from './units';
+
+export const distance = (p, q) => Math.hypot(q.x - p.x, q.y - p.y);
+
+export const clampPoint = (point, size) => ({
+  x: Math.min(size.width, Math.max(0, point.x)),
+  y: Math.min(size.height, Math.max(0, point.y))
+});
+
+export const normalizeBox = (start, end) => ({
+  x: Math.min(start.x, end.x),
+  y: Math.min(start.y, end.y),
+  width: Math.abs(end.x - start.x),
+  height: Math.abs(end.y - start.y)
+});
+
+export const segmentLength = (segment) => distance(segment.start, segment.end);
+
+/**
+ * Real-world length per pixel in `unit`, derived from a reference segment
+ * of known length. The reference length is typed in its own unit, so
+ * switching units later only changes the readout.
+ */
+export const computeScale = (reference, unit) => {
+  if (!reference) return null;
+  const { value } = parseLength(reference.realLength, reference.unit || unit);
+  if (!value) return null;
+  const pixels = segmentLength(reference);
+  return pixels ? convertLength(value, reference.unit || unit, unit) / pixels : null;
+};
+
+export const formatLength = (pixels, scale, unit) => (
+  scale ? formatDimension(pixels * scale, unit) : formatDimension(pixels, 'px')
+);
+
+export const EMPTY_MEASUREMENTS = { box: null, segments: [], reference: null };
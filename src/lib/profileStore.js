@@ -0,0 +1,73 @@
+import { BUILTIN_PROFILES, DEFAULT_PROFILE, pickProfile, validateProfile } from './ai';
+
+/**
+ * Custom critique profiles and the selected profile, kept in localStorage,
+ * plus JSON import/export. Built-ins are never stored; editing one means
+ * duplicating it first.
+ */
+
+const PROFILES_KEY = 'phidias-scale.profiles';
+const SELECTED_KEY = 'phidias-scale.profile';
+
+const readJson = (key, fallback) => {
+  try {
+    const value = JSON.parse(localStorage.getItem(key));
+    return value ?? fallback;
+  } catch (e) {
+    return fallback;
+  }
+};
+
+export const loadCustomProfiles = () => {
+  const stored = readJson(PROFILES_KEY, []);
+  return Array.isArray(stored) ? stored.filter(p => !validateProfile(p).length) : [];
+};
+
+export const saveCustomProfiles = (profiles) => {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+};
+
+export const loadSelectedProfileId = () => readJson(SELECTED_KEY, DEFAULT_PROFILE.id);
+
+export const saveSelectedProfileId = (id) => {
+  localStorage.setItem(SELECTED_KEY, JSON.stringify(id));
+};
+
+const newId = () => `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const duplicateProfile = (profile) => ({
+  ...pickProfile(profile),
+  id: newId(),
+  name: `${profile.name} Copy`.slice(0, 60)
+});
+
+/**
+ * Parses an exported file (one profile or an array). Every valid entry gets
+ * a fresh id unless it is already a custom id not in `existing`, so imports
+ * never shadow built-ins. Returns { profiles, problems }.
+ */
+export const parseProfileImport = (text, existing = []) => {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (e) {
+    return { profiles: [], problems: ['File is not valid JSON.'] };
+  }
+  const entries = Array.isArray(value) ? value : [value];
+  const taken = new Set([...BUILTIN_PROFILES, ...existing].map(p => p.id));
+  const profiles = [];
+  const problems = [];
+  entries.forEach((entry, i) => {
+    const errors = validateProfile(entry);
+    if (errors.length) {
+      problems.push(`Profile ${i + 1}: ${errors.join(', ')}`);
+      return;
+    }
+    const id = typeof entry.id === 'string' && entry.id.startsWith('custom-') && !taken.has(entry.id) ? entry.id : newId();
+    taken.add(id);
+    profiles.push({ ...pickProfile(entry), id });
+  });
+  return { profiles, problems };
+};
+
+export const serializeProfiles = (profiles) => JSON.stringify(profiles.map(pickProfile), null, 2);
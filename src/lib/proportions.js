@@ -0,0 +1,128 @@
+/**
+ * Constants and Proportional Logic
+ */
+export const GOLDEN_RATIO = 1.61803398875;
+
+// Le Corbusier's Modulor red and blue series, in millimetres.
+const MODULOR_SERIES = [
+  6, 9, 15, 24, 39, 63, 102, 165, 267, 432, 698, 1130, 1829,
+  11, 18, 30, 48, 78, 126, 204, 330, 534, 863, 1397, 2260
+];
+
+// Module systems only contribute ratios up to this bound; wider spans stop
+// reading as a proportion of one object.
+const MAX_MODULE_RATIO = 4;
+
+/**
+ * Canonical ratio catalogue. An entry is either a single `value` or a
+ * `series` of module lengths whose pairwise quotients all count as targets.
+ */
+export const RATIO_CATALOGUE = [
+  { id: 'phi', label: 'Golden', symbol: 'φ', value: GOLDEN_RATIO },
+  { id: 'sqrt2', label: 'ISO Diagonal', symbol: '√2', value: Math.SQRT2 },
+  { id: 'three-two', label: 'Perfect Fifth', symbol: '3:2', value: 3 / 2 },
+  { id: 'four-three', label: 'Perfect Fourth', symbol: '4:3', value: 4 / 3 },
+  { id: 'silver', label: 'Silver', symbol: 'δs', value: 1 + Math.SQRT2 },
+  { id: 'sqrt3', label: 'Hexagonal', symbol: '√3', value: Math.sqrt(3) },
+  { id: 'modulor', label: 'Modulor', symbol: 'M', series: MODULOR_SERIES }
+];
+
+export const AUTO_TARGET = 'auto';
+
+/**
+ * Caption of an analysis' headline target for the chosen `target`: 'Ideal'
+ * when that ratio was scored, 'Nearest' when auto mode picked it.
+ */
+export const targetCaption = (analysis, target) => (
+  `${target === analysis.targetId ? 'Ideal' : 'Nearest'} (${analysis.targetSymbol})`
+);
+
+const seriesRatios = (series) => {
+  const values = new Set();
+  series.forEach(a => series.forEach(b => {
+    const r = a / b;
+    if (r >= 1 && r <= MAX_MODULE_RATIO) values.add(Number(r.toFixed(4)));
+  }));
+  return [...values];
+};
+
+const entryValues = (entry) => (entry.series ? seriesRatios(entry.series) : [entry.value]);
+
+const scoreAgainst = (ratio, target) => {
+  const variance = ((ratio - target) / target) * 100;
+  const score = Math.max(0, Math.min(100, Math.round(100 - (Math.abs(variance) * 2))));
+  return { target: Number(target.toFixed(3)), variance: Number(variance.toFixed(2)), score };
+};
+
+/**
+ * Scores an observed ratio against one catalogue entry. Module systems are
+ * scored against whichever of their quotients sits closest.
+ */
+export const evaluateRatio = (ratio, entry) => {
+  const closest = entryValues(entry).reduce((best, value) => (
+    Math.abs(ratio - value) / value < Math.abs(ratio - best) / best ? value : best
+  ));
+  return { id: entry.id, label: entry.label, symbol: entry.symbol, ...scoreAgainst(ratio, closest) };
+};
+
+/**
+ * Builds a custom catalogue entry from user input: "a:b", a plain number,
+ * or a comma-separated module series. Returns null when the input is unusable.
+ */
+export const parseRatioEntry = (label, definition) => {
+  const text = String(definition).trim();
+  const name = label.trim() || text;
+  const id = `custom-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+
+  if (text.includes(',')) {
+    const series = text.split(',').map(parseFloat).filter(n => n > 0);
+    if (series.length < 2 || !seriesRatios(series).length) return null;
+    return { id, label: name, symbol: name.slice(0, 3).toUpperCase(), series };
+  }
+
+  const [a, b = 1] = text.split(':').map(parseFloat);
+  const value = Math.max(a, b) / Math.min(a, b);
+  if (!(a > 0) || !(b > 0) || !Number.isFinite(value)) return null;
+  return { id, label: name, symbol: text.includes(':') ? text : value.toFixed(3), value };
+};
+
+const describeTarget = (entry) => ({ targetId: entry.id, targetLabel: entry.label, targetSymbol: entry.symbol });
+
+/**
+ * Scores the ratio of two lengths against every catalogue entry. The headline
+ * ratio/variance/score come from the preferred target, or from the nearest
+ * entry when the target is AUTO_TARGET.
+ */
+export const analyzeProportions = (a, b, { target = 'phi', catalogue = RATIO_CATALOGUE } = {}) => {
+  const preferred = catalogue.find(entry => entry.id === target) || catalogue[0];
+  if (!a || !b) {
+    return {
+      ratio: 0,
+      variance: 100,
+      score: 0,
+      target: Number(entryValues(preferred)[0].toFixed(3)),
+      ...describeTarget(preferred),
+      nearestId: null,
+      ratios: []
+    };
+  }
+
+  const ratio = Math.max(a, b) / Math.min(a, b);
+  const ratios = catalogue.map(entry => evaluateRatio(ratio, entry));
+  // Module systems hold dozens of quotients and would win almost every
+  // nearest-match, so only single-value ratios compete for it.
+  const canonical = ratios.filter((r, i) => !catalogue[i].series);
+  const nearest = (canonical.length ? canonical : ratios)
+    .reduce((best, r) => (Math.abs(r.variance) < Math.abs(best.variance) ? r : best));
+  const chosen = target === AUTO_TARGET ? nearest : ratios.find(r => r.id === preferred.id);
+
+  return {
+    ratio: Number(ratio.toFixed(3)),
+    variance: chosen.variance,
+    score: chosen.score,
+    target: chosen.target,
+    ...describeTarget(chosen),
+    nearestId: nearest.id,
+    ratios
+  };
+};
@@ -0,0 +1,142 @@
+import {
+  analyzeProportions, AUTO_TARGET, evaluateRatio, GOLDEN_RATIO, parseRatioEntry, RATIO_CATALOGUE, targetCaption
+} from './proportions';
+
+const entry = id => RATIO_CATALOGUE.find(e => e.id === id);
+
+describe('analyzeProportions', () => {
+  it('scores a golden rectangle as perfect', () => {
+    const result = analyzeProportions(1618, 1000);
+    expect(result).toMatchObject({ ratio: 1.618, target: 1.618, targetId: 'phi', score: 100, nearestId: 'phi' });
+    expect(result.variance).toBeCloseTo(0, 1);
+    expect(result.ratios).toHaveLength(RATIO_CATALOGUE.length);
+  });
+
+  it('is orientation independent', () => {
+    expect(analyzeProportions(1000, 1618)).toEqual(analyzeProportions(1618, 1000));
+  });
+
+  it('scores a square against phi', () => {
+    const result = analyzeProportions(50, 50);
+    expect(result.ratio).toBe(1);
+    expect(result.variance).toBe(-38.2);
+    expect(result.score).toBe(24);
+    expect(result.nearestId).toBe('four-three');
+  });
+
+  it.each([
+    [0, 0],
+    [0, 100],
+    [100, 0],
+    [100, undefined],
+    [undefined, 100],
+    [NaN, 100]
+  ])('returns an empty analysis for %p × %p', (a, b) => {
+    expect(analyzeProportions(a, b)).toEqual({
+      ratio: 0,
+      variance: 100,
+      score: 0,
+      target: 1.618,
+      targetId: 'phi',
+      targetLabel: 'Golden',
+      targetSymbol: 'φ',
+      nearestId: null,
+      ratios: []
+    });
+  });
+
+  it('describes the preferred target even when empty', () => {
+    expect(analyzeProportions(0, 10, { target: 'sqrt2' })).toMatchObject({ target: 1.414, targetId: 'sqrt2', targetSymbol: '√2' });
+    expect(analyzeProportions(0, 10, { target: 'modulor' })).toMatchObject({ targetId: 'modulor', target: 1 });
+  });
+
+  it('clamps the score of huge ratios to zero', () => {
+    const result = analyzeProportions(1e9, 1);
+    expect(result.ratio).toBe(1e9);
+    expect(result.score).toBe(0);
+    expect(Number.isFinite(result.variance)).toBe(true);
+    expect(result.nearestId).toBe('silver');
+    result.ratios.forEach(r => expect(r.score).toBe(0));
+  });
+
+  it('never scores below zero or above 100', () => {
+    [1, 1.2, 1.618, 2.5, 40].forEach(ratio => {
+      analyzeProportions(ratio, 1).ratios.forEach(r => {
+        expect(r.score).toBeGreaterThanOrEqual(0);
+        expect(r.score).toBeLessThanOrEqual(100);
+      });
+    });
+  });
+
+  it('scores against the preferred target', () => {
+    const result = analyzeProportions(297, 210, { target: 'sqrt2' });
+    expect(result.targetId).toBe('sqrt2');
+    expect(result.score).toBe(100);
+  });
+
+  it('falls back to the first entry for an unknown target', () => {
+    expect(analyzeProportions(2, 1, { target: 'nope' }).targetId).toBe('phi');
+  });
+
+  it('picks the nearest canonical entry in auto mode', () => {
+    const result = analyzeProportions(150, 100, { target: AUTO_TARGET });
+    expect(result).toMatchObject({ targetId: 'three-two', score: 100, nearestId: 'three-two' });
+  });
+
+  it('keeps module series out of the nearest match', () => {
+    // 1130 / 698 is a Modulor quotient, but phi is the closer canonical ratio.
+    expect(analyzeProportions(1130, 698, { target: AUTO_TARGET }).nearestId).toBe('phi');
+  });
+
+  it('scores against a custom catalogue', () => {
+    const catalogue = [parseRatioEntry('Double', '2:1')];
+    const result = analyzeProportions(200, 100, { target: catalogue[0].id, catalogue });
+    expect(result).toMatchObject({ ratio: 2, score: 100, nearestId: catalogue[0].id });
+  });
+});
+
+describe('targetCaption', () => {
+  it('calls the chosen target ideal', () => {
+    expect(targetCaption(analyzeProportions(1000, 1618, { target: 'phi' }), 'phi')).toBe('Ideal (φ)');
+  });
+
+  it('calls the auto-mode match nearest', () => {
+    expect(targetCaption(analyzeProportions(1000, 1618, { target: AUTO_TARGET }), AUTO_TARGET)).toBe('Nearest (φ)');
+  });
+});
+
+describe('evaluateRatio', () => {
+  it('scores a single-value entry', () => {
+    expect(evaluateRatio(GOLDEN_RATIO, entry('phi'))).toEqual({
+      id: 'phi', label: 'Golden', symbol: 'φ', target: 1.618, variance: 0, score: 100
+    });
+  });
+
+  it('scores a module series against its closest quotient', () => {
+    const result = evaluateRatio(1829 / 1130, entry('modulor'));
+    expect(result.score).toBe(100);
+    expect(result.target).toBe(1.619);
+  });
+
+  it('halves the score at 25% variance', () => {
+    expect(evaluateRatio(1.25, { id: 'one', value: 1 })).toMatchObject({ variance: 25, score: 50 });
+  });
+});
+
+describe('parseRatioEntry', () => {
+  it('parses a:b pairs in either order', () => {
+    expect(parseRatioEntry('Octave', '1:2')).toEqual({ id: 'custom-octave', label: 'Octave', symbol: '1:2', value: 2 });
+  });
+
+  it('parses a plain number', () => {
+    expect(parseRatioEntry('', '1.25')).toMatchObject({ label: '1.25', symbol: '1.250', value: 1.25 });
+  });
+
+  it('parses a module series', () => {
+    expect(parseRatioEntry('Fib', '2, 3, 5, 8')).toMatchObject({ id: 'custom-fib', symbol: 'FIB', series: [2, 3, 5, 8] });
+  });
+
+  it.each(['', 'abc', '0:1', '-2:1', '1:0', '5, 0', '0, 0'])('rejects %p', text => {
+    expect(parseRatioEntry('Bad', text)).toBeNull();
+  });
+});
@@ -0,0 +1,22 @@
+import { analyzeProportions } from './proportions';
+import { analyzeVolume, resolveFaces, summarizeVolume } from './volumetric';
+
+/**
+ * What a scan measures. Typed dimensions win, then the detected
+ * silhouette, then the whole frame (both in image pixels).
+ */
+export const resolveScanDimensions = ({ values }, unit, silhouette, naturalSize) => (
+  values.height
+    ? { height: values.height, width: values.width, ...(values.depth && { depth: values.depth }), unit }
+    : { height: silhouette?.box.height ?? naturalSize.height, width: silhouette?.box.width ?? naturalSize.width, unit: 'px' }
+);
+
+/**
+ * The figures sent with the critique: the headline analysis plus every
+ * face that can be measured when there is more than one.
+ */
+export const buildScanStats = (dimensions, viewBoxes, ratioOptions) => {
+  const result = analyzeProportions(dimensions.height, dimensions.width, ratioOptions);
+  const volume = analyzeVolume(resolveFaces(dimensions, viewBoxes), ratioOptions);
+  return volume.faces.length > 1 ? { ...result, ...summarizeVolume(volume) } : result;
+};
@@ -0,0 +1,49 @@
+import { buildScanStats, resolveScanDimensions } from './scan';
+
+const input = values => ({ values, errors: {}, valid: true });
+const silhouette = { box: { x: 10, y: 20, width: 300, height: 480 } };
+const frame = { width: 800, height: 1294 };
+
+describe('resolveScanDimensions', () => {
+  it('prefers typed dimensions', () => {
+    expect(resolveScanDimensions(input({ height: 190, width: 117 }), 'cm', silhouette, frame))
+      .toEqual({ height: 190, width: 117, unit: 'cm' });
+  });
+
+  it('keeps a typed depth', () => {
+    expect(resolveScanDimensions(input({ height: 190, width: 117, depth: 60 }), 'cm', null, frame))
+      .toEqual({ height: 190, width: 117, depth: 60, unit: 'cm' });
+  });
+
+  it('falls back to the silhouette in pixels', () => {
+    expect(resolveScanDimensions(input({}), 'cm', silhouette, frame)).toEqual({ height: 480, width: 300, unit: 'px' });
+  });
+
+  it('falls back to the frame without a silhouette', () => {
+    expect(resolveScanDimensions(input({}), 'in', null, frame)).toEqual({ height: 1294, width: 800, unit: 'px' });
+  });
+});
+
+describe('buildScanStats', () => {
+  it('sends only the headline analysis for a single face', () => {
+    const stats = buildScanStats({ height: 1618, width: 1000 }, {}, { target: 'phi' });
+    expect(stats).toMatchObject({ ratio: 1.618, score: 100 });
+    expect(stats).not.toHaveProperty('faces');
+  });
+
+  it('adds every measurable face', () => {
+    const stats = buildScanStats({ height: 1618, width: 1000 }, { side: { width: 1000, height: 1618 } }, { target: 'phi' });
+    expect(stats.faces.map(face => face.label)).toEqual(['Front H:W', 'Side H:D']);
+    expect(stats.volumetricScore).toBeNull();
+  });
+
+  it('scores the volume once all three faces are known', () => {
+    const stats = buildScanStats({ height: 1618, width: 1000, depth: 618 }, {}, { target: 'phi' });
+    expect(stats.faces).toHaveLength(3);
+    expect(stats.volumetricScore).toBe(Math.round(stats.faces.reduce((sum, face) => sum + face.score, 0) / 3));
+  });
+
+  it('scores a zero-sized piece as zero', () => {
+    expect(buildScanStats({ height: 0, width: 0 }, {}, { target: 'phi' })).toMatchObject({ ratio: 0, score: 0 });
+  });
+});
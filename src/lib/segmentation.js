@@ -0,0 +1,265 @@
+/**
+ * Client-side silhouette extraction for product shots. The background colour
+ * is estimated from the frame border, pixels are thresholded on their
+ * distance from it (Otsu), the largest blob is kept with its holes filled,
+ * and its outline and dominant internal edges are traced. All results are
+ * returned in the image's natural pixel space.
+ */
+
+const BORDER_FRACTION = 0.02;
+// Otsu can settle on sensor noise when the frame is nearly uniform.
+const MIN_THRESHOLD = 24;
+const MIN_COVERAGE = 0.01;
+const MAX_COVERAGE = 0.97;
+const MAX_EDGES = 6;
+const CONTOUR_POINTS = 240;
+// Alpha below this counts as background, so PNG cut-outs segment cleanly.
+const TRANSPARENT_ALPHA = 16;
+
+// Moore neighbourhood, clockwise from west in image (y-down) coordinates.
+const DIRECTIONS = [[-1, 0], [-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1]];
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const estimateBackground = (data, width, height) => {
+  const band = Math.max(1, Math.round(Math.min(width, height) * BORDER_FRACTION));
+  const channels = [[], [], []];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x >= band && x < width - band && y >= band && y < height - band) continue;
+      const i = (y * width + x) * 4;
+      channels[0].push(data[i]);
+      channels[1].push(data[i + 1]);
+      channels[2].push(data[i + 2]);
+    }
+  }
+  return channels.map(median);
+};
+
+const distanceMap = (data, background) => {
+  const distances = new Uint8ClampedArray(data.length / 4);
+  for (let p = 0; p < distances.length; p++) {
+    const i = p * 4;
+    if (data[i + 3] < TRANSPARENT_ALPHA) continue;
+    distances[p] = Math.hypot(data[i] - background[0], data[i + 1] - background[1], data[i + 2] - background[2]);
+  }
+  return distances;
+};
+
+const otsuThreshold = (values) => {
+  const histogram = new Array(256).fill(0);
+  values.forEach(v => { histogram[v]++; });
+  const total = values.length;
+  const sum = histogram.reduce((acc, count, i) => acc + i * count, 0);
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let bestVariance = 0;
+  let threshold = 0;
+  for (let t = 0; t < 256; t++) {
+    weightBackground += histogram[t];
+    if (!weightBackground) continue;
+    const weightForeground = total - weightBackground;
+    if (!weightForeground) break;
+    sumBackground += t * histogram[t];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const between = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (between > bestVariance) {
+      bestVariance = between;
+      threshold = t;
+    }
+  }
+  return threshold;
+};
+
+// 4-connected breadth-first fill of `passable` pixels, writing `label` into
+// `labels`. Returns the filled area.
+const flood = (passable, width, start, labels, label, queue) => {
+  let tail = 0;
+  const push = (q) => {
+    if (passable[q] && !labels[q]) {
+      labels[q] = label;
+      queue[tail++] = q;
+    }
+  };
+  push(start);
+  for (let head = 0; head < tail; head++) {
+    const p = queue[head];
+    const x = p % width;
+    if (x > 0) push(p - 1);
+    if (x < width - 1) push(p + 1);
+    if (p >= width) push(p - width);
+    if (p + width < passable.length) push(p + width);
+  }
+  return tail;
+};
+
+const largestComponent = (mask, width) => {
+  const labels = new Int32Array(mask.length);
+  const queue = new Int32Array(mask.length);
+  let best = { label: 0, area: 0 };
+  let next = 0;
+  for (let p = 0; p < mask.length; p++) {
+    if (!mask[p] || labels[p]) continue;
+    next++;
+    const area = flood(mask, width, p, labels, next, queue);
+    if (area > best.area) best = { label: next, area };
+  }
+  return labels.map(l => (best.label && l === best.label ? 1 : 0));
+};
+
+// Anything the border-connected background cannot reach belongs to the object.
+const fillHoles = (component, width, height) => {
+  const outside = component.map(v => (v ? 0 : 1));
+  const labels = new Uint8Array(component.length);
+  const queue = new Int32Array(component.length);
+  for (let x = 0; x < width; x++) {
+    flood(outside, width, x, labels, 1, queue);
+    flood(outside, width, (height - 1) * width + x, labels, 1, queue);
+  }
+  for (let y = 0; y < height; y++) {
+    flood(outside, width, y * width, labels, 1, queue);
+    flood(outside, width, y * width + width - 1, labels, 1, queue);
+  }
+  return labels.map(l => (l ? 0 : 1));
+};
+
+const boundingBox = (component, width, height) => {
+  let minX = width; let minY = height; let maxX = -1; let maxY = -1;
+  for (let p = 0; p < component.length; p++) {
+    if (!component[p]) continue;
+    const x = p % width;
+    const y = (p - x) / width;
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  }
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+};
+
+const directionIndex = (dx, dy) => DIRECTIONS.findIndex(([x, y]) => x === dx && y === dy);
+
+// Moore-neighbour boundary trace starting from the first pixel in raster order.
+const traceContour = (component, width, height, box) => {
+  const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && component[y * width + x] === 1;
+  let startX = box.x;
+  while (!inside(startX, box.y)) startX++;
+
+  const contour = [{ x: startX, y: box.y }];
+  let cx = startX;
+  let cy = box.y;
+  let backtrack = 0;
+  const maxSteps = component.length * 4;
+  for (let step = 0; step < maxSteps; step++) {
+    let moved = false;
+    for (let k = 1; k <= 8; k++) {
+      const d = (backtrack + k) % 8;
+      const nx = cx + DIRECTIONS[d][0];
+      const ny = cy + DIRECTIONS[d][1];
+      if (!inside(nx, ny)) continue;
+      const [px, py] = DIRECTIONS[(backtrack + k - 1) % 8];
+      backtrack = directionIndex(cx + px - nx, cy + py - ny);
+      cx = nx;
+      cy = ny;
+      moved = true;
+      break;
+    }
+    if (!moved || (cx === startX && cy === box.y)) break;
+    contour.push({ x: cx, y: cy });
+  }
+
+  const stride = Math.max(1, Math.ceil(contour.length / CONTOUR_POINTS));
+  return contour.filter((_, i) => i % stride === 0);
+};
+
+const luminance = (data) => {
+  const values = new Float32Array(data.length / 4);
+  for (let p = 0; p < values.length; p++) {
+    const i = p * 4;
+    values[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return values;
+};
+
+// Gradient energy per row (horizontal edges) or column (vertical edges)
+// inside the bounding box. Silhouette transitions count at full strength.
+const edgeProfile = (gray, component, width, box, axis) => {
+  const rows = axis === 'horizontal';
+  const length = rows ? box.height : box.width;
+  const span = rows ? box.width : box.height;
+  const step = rows ? width : 1;
+  const profile = new Float32Array(length);
+  for (let i = 1; i < length - 1; i++) {
+    let energy = 0;
+    for (let j = 0; j < span; j++) {
+      const x = rows ? box.x + j : box.x + i;
+      const y = rows ? box.y + i : box.y + j;
+      const p = y * width + x;
+      energy += Math.abs(gray[p + step] - gray[p - step]) + 255 * Math.abs(component[p + step] - component[p - step]);
+    }
+    profile[i] = energy / span;
+  }
+  return profile;
+};
+
+const pickEdges = (profile, offset, scale) => {
+  const values = Array.from(profile);
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const std = Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length);
+  const peak = Math.max(...values) || 1;
+  const minGap = Math.max(2, Math.round(values.length * 0.04));
+
+  const candidates = values
+    .map((value, i) => ({ i, value }))
+    .filter(({ i, value }) => value > mean + std && value >= (values[i - 1] ?? 0) && value >= (values[i + 1] ?? 0))
+    .sort((a, b) => b.value - a.value);
+
+  const chosen = [];
+  candidates.forEach(c => {
+    if (chosen.length < MAX_EDGES && chosen.every(e => Math.abs(e.i - c.i) >= minGap)) chosen.push(c);
+  });
+
+  return chosen
+    .sort((a, b) => a.i - b.i)
+    .map(({ i, value }) => ({ position: (offset + i) / scale, strength: Number((value / peak).toFixed(2)) }));
+};
+
+/**
+ * Segments the subject on a canvas produced by loadImageCanvas. Returns null
+ * when no plausible foreground object separates from the background.
+ */
+export const detectSilhouette = (canvas, scale = 1) => {
+  const { width, height } = canvas;
+  const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+
+  const distances = distanceMap(data, estimateBackground(data, width, height));
+  const threshold = Math.max(MIN_THRESHOLD, otsuThreshold(distances));
+  const mask = distances.map(d => (d > threshold ? 1 : 0));
+  const component = fillHoles(largestComponent(mask, width), width, height);
+
+  const area = component.reduce((sum, v) => sum + v, 0);
+  const coverage = area / component.length;
+  if (coverage < MIN_COVERAGE || coverage > MAX_COVERAGE) return null;
+
+  const box = boundingBox(component, width, height);
+  const gray = luminance(data);
+  const toNatural = (point) => ({ x: point.x / scale, y: point.y / scale });
+
+  return {
+    box: {
+      x: box.x / scale,
+      y: box.y / scale,
+      width: box.width / scale,
+      height: box.height / scale
+    },
+    contour: traceContour(component, width, height, box).map(toNatural),
+    horizontalEdges: pickEdges(edgeProfile(gray, component, width, box, 'horizontal'), box.y, scale),
+    verticalEdges: pickEdges(edgeProfile(gray, component, width, box, 'vertical'), box.x, scale),
+    coverage: Number(coverage.toFixed(3))
+  };
+};
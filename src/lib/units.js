@@ -0,0 +1,120 @@
+/**
+ * Length units for typed dimensions and calibrated measurements. Values
+ * are kept as plain numbers in their own unit; `mm` is the common base
+ * for conversion. 'px' marks uncalibrated pixel lengths (a pre-filled
+ * silhouette, an uncalibrated box) and is never a selectable unit.
+ */
+export const UNITS = {
+  mm: { label: 'mm', mm: 1 },
+  cm: { label: 'cm', mm: 10 },
+  in: { label: 'in', mm: 25.4 },
+  ft: { label: 'ft', mm: 304.8 }
+};
+
+export const DEFAULT_UNIT = 'cm';
+
+// Imperial readouts round to the nearest sixteenth of an inch.
+const INCH_FRACTION = 16;
+
+export const convertLength = (value, from, to) => (from === to ? value : (value * UNITS[from].mm) / UNITS[to].mm);
+
+// "6", "6.5", ".5", "3/4" or "6 1/2".
+const parseQuantity = (text) => {
+  const match = text.trim().match(/^(?:(\d+(?:\.\d+)?|\.\d+)|(?:(\d+)\s+)?(\d+)\/(\d+))$/);
+  if (!match) return NaN;
+  if (match[1] !== undefined) return parseFloat(match[1]);
+  const denominator = parseInt(match[4], 10);
+  return denominator ? (parseInt(match[2] || '0', 10) + parseInt(match[3], 10) / denominator) : NaN;
+};
+
+const FEET_MARK = /^(.*?)\s*(?:'|′|ft|feet|foot)\.?\s*(.*)$/i;
+const INCH_MARK = /\s*(?:"|″|in|inch|inches)\.?$/i;
+
+/**
+ * Reads a typed length in `unit`. Besides decimals, fractions ("3/4",
+ * "6 1/2") are accepted, and feet/inch marks ("5' 6 1/2\"", "5ft 6in")
+ * are converted whatever the unit except px. Returns { value, error };
+ * both are null for an empty field.
+ */
+export const parseLength = (text, unit) => {
+  const input = String(text ?? '').trim();
+  if (!input) return { value: null, error: null };
+  if (/^-/.test(input)) return { value: null, error: 'Must be positive' };
+
+  let value;
+  const feet = input.match(FEET_MARK);
+  if ((feet || INCH_MARK.test(input)) && !UNITS[unit]) {
+    value = NaN;
+  } else if (feet) {
+    const wholeFeet = parseQuantity(feet[1]);
+    const inches = feet[2] ? parseQuantity(feet[2].replace(INCH_MARK, '')) : 0;
+    value = convertLength(wholeFeet * 12 + inches, 'in', unit);
+  } else if (INCH_MARK.test(input)) {
+    value = convertLength(parseQuantity(input.replace(INCH_MARK, '')), 'in', unit);
+  } else {
+    value = parseQuantity(input);
+  }
+
+  if (!Number.isFinite(value)) return { value: null, error: 'Not a valid length' };
+  if (value <= 0) return { value: null, error: 'Must be greater than zero' };
+  return { value, error: null };
+};
+
+/**
+ * Parses the height, width and depth fields together. Height and width
+ * come as a pair, since one typed side cannot be mixed with a pixel
+ * measurement of the other; depth needs both.
+ */
+export const parseDimensions = (fields, unit) => {
+  const values = {};
+  const errors = {};
+  Object.entries(fields).forEach(([key, text]) => {
+    const { value, error } = parseLength(text, unit);
+    values[key] = value;
+    if (error) errors[key] = error;
+  });
+  if (!errors.height && !errors.width && (values.height === null) !== (values.width === null)) {
+    if (values.height === null) errors.height = 'Required with width';
+    else errors.width = 'Required with height';
+  }
+  if (values.depth !== null && values.depth !== undefined && values.height === null && values.width === null) {
+    errors.depth = 'Needs height and width';
+  }
+  return { values, errors, valid: !Object.keys(errors).length };
+};
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+const formatInches = (inches) => {
+  const sixteenths = Math.round(inches * INCH_FRACTION);
+  const whole = Math.floor(sixteenths / INCH_FRACTION);
+  const remainder = sixteenths % INCH_FRACTION;
+  if (!remainder) return `${whole}`;
+  const divisor = gcd(remainder, INCH_FRACTION);
+  const fraction = `${remainder / divisor}/${INCH_FRACTION / divisor}`;
+  return whole ? `${whole} ${fraction}` : fraction;
+};
+
+const trim = (value, digits) => String(parseFloat(value.toFixed(digits)));
+
+/** A length in `unit` as text: decimals for metric, feet and fractional inches for imperial. */
+export const formatDimension = (value, unit) => {
+  if (!Number.isFinite(value)) return '—';
+  if (unit === 'px') return `${Math.round(value)} px`;
+  if (unit === 'mm') return `${trim(value, 1)} mm`;
+  if (unit === 'cm') return `${trim(value, 2)} cm`;
+  if (unit === 'in') return `${formatInches(value)}"`;
+  if (unit === 'ft') {
+    const inches = Math.round(value * 12 * INCH_FRACTION) / INCH_FRACTION;
+    const feet = Math.floor(inches / 12);
+    return `${feet}' ${formatInches(inches - feet * 12)}"`;
+  }
+  return trim(value, 2);
+};
+
+/** "H 190 cm × W 117 cm" plus depth when known. */
+export const formatDimensions = (dimensions) => [
+  `H ${formatDimension(dimensions.height, dimensions.unit)}`,
+  `W ${formatDimension(dimensions.width, dimensions.unit)}`,
+  ...(dimensions.depth ? [`D ${formatDimension(dimensions.depth, dimensions.unit)}`] : [])
+].join(' × ');
@@ -0,0 +1,61 @@
+import { analyzeProportions } from './proportions';
+
+/**
+ * Three-view (front/side/top) analysis. Each face is one pair of the
+ * piece's height, width and depth; with all three faces scored, their mean
+ * is the volumetric harmony score.
+ */
+
+export const VIEWS = [
+  { id: 'front', label: 'Front' },
+  { id: 'side', label: 'Side' },
+  { id: 'top', label: 'Top' }
+];
+
+export const FACES = [
+  { id: 'front', label: 'Front', pair: 'H:W' },
+  { id: 'side', label: 'Side', pair: 'H:D' },
+  { id: 'top', label: 'Top', pair: 'W:D' }
+];
+
+/**
+ * The two lengths of every face that can be measured. Typed depth gives
+ * the side and top faces directly; otherwise each comes from the subject
+ * box in that view's photo (a side view shows height × depth, a top view
+ * width across and depth down the frame). Faces with neither are null.
+ */
+export const resolveFaces = (dimensions, viewBoxes = {}) => {
+  const { height, width, depth } = dimensions;
+  const { side, top } = viewBoxes;
+  return {
+    front: height && width ? [height, width] : null,
+    side: depth && height ? [height, depth] : (side ? [side.height, side.width] : null),
+    top: depth && width ? [width, depth] : (top ? [top.width, top.height] : null)
+  };
+};
+
+/**
+ * Scores every available face and, when all three are present, the
+ * volumetric harmony (their mean score). Returns { faces, score }.
+ */
+export const analyzeVolume = (faceLengths, ratioOptions) => {
+  const faces = FACES
+    .filter(face => faceLengths[face.id])
+    .map(face => ({ ...face, analysis: analyzeProportions(...faceLengths[face.id], ratioOptions) }));
+  const score = faces.length === FACES.length
+    ? Math.round(faces.reduce((sum, face) => sum + face.analysis.score, 0) / faces.length)
+    : null;
+  return { faces, score };
+};
+
+/** The per-face figures a critique prompt needs. */
+export const summarizeVolume = ({ faces, score }) => ({
+  faces: faces.map(({ label, pair, analysis }) => ({
+    label: `${label} ${pair}`,
+    ratio: analysis.ratio,
+    target: analysis.target,
+    targetSymbol: analysis.targetSymbol,
+    score: analysis.score
+  })),
+  volumetricScore: score
+});
@@ -0,0 +1,96 @@
+/**
+ * Dimensional what-if maths: the nearest height × width that lands on a
+ * target ratio, and a re-proportioned set of caliper segments. Ratios are
+ * orientation-free (long side over short), so every suggestion keeps the
+ * longer side longer.
+ */
+
+// Slider range either side of the measured dimension, as a fraction.
+export const WHAT_IF_RANGE = 0.5;
+export const DEFAULT_TOLERANCES = { height: 10, width: 10 };
+
+const percentChange = (next, current) => ((next - current) / current) * 100;
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Works on the long/short pair and maps the result back onto height/width.
+const orient = (height, width) => (height >= width
+  ? { long: height, short: width, toDimensions: (long, short) => ({ height: long, width: short }) }
+  : { long: width, short: height, toDimensions: (long, short) => ({ height: short, width: long }) });
+
+/**
+ * Closest dimensions for `target` when changing the height only, the width
+ * only, or both (split geometrically so the area is kept). A fourth option
+ * gets as close as the per-axis tolerances (in percent) allow. Each entry
+ * carries its percentage changes and whether it fits the tolerances.
+ */
+export const suggestDimensions = (height, width, target, tolerances = DEFAULT_TOLERANCES) => {
+  if (!(height > 0) || !(width > 0) || !(target >= 1)) return [];
+  const { long, short, toDimensions } = orient(height, width);
+  const tall = height >= width;
+  const longTolerance = (tall ? tolerances.height : tolerances.width) / 100;
+  const shortTolerance = (tall ? tolerances.width : tolerances.height) / 100;
+
+  const factor = Math.sqrt(target / (long / short));
+
+  // Reachable ratio range inside the tolerances, then the least change that
+  // gets there: split evenly, or clamp one side and solve the other.
+  const reachable = clamp(
+    target,
+    (long * (1 - longTolerance)) / (short * (1 + shortTolerance)),
+    (long * (1 + longTolerance)) / (short * (1 - shortTolerance))
+  );
+  const split = Math.sqrt(reachable / (long / short));
+  let bestLong = clamp(long * split, long * (1 - longTolerance), long * (1 + longTolerance));
+  let bestShort = bestLong / reachable;
+  if (Math.abs(bestShort / short - 1) > shortTolerance + 1e-9) {
+    bestShort = clamp(bestShort, short * (1 - shortTolerance), short * (1 + shortTolerance));
+    bestLong = bestShort * reachable;
+  }
+
+  const options = [
+    { id: 'height', label: 'Height only', ...(tall ? toDimensions(short * target, short) : toDimensions(long, long / target)) },
+    { id: 'width', label: 'Width only', ...(tall ? toDimensions(long, long / target) : toDimensions(short * target, short)) },
+    { id: 'both', label: 'Both sides', ...toDimensions(long * factor, short / factor) },
+    { id: 'tolerance', label: 'Within tolerance', ...toDimensions(bestLong, bestShort) }
+  ];
+
+  return options.map(option => {
+    const heightChange = percentChange(option.height, height);
+    const widthChange = percentChange(option.width, width);
+    return {
+      ...option,
+      heightChange,
+      widthChange,
+      withinTolerance: Math.abs(heightChange) <= tolerances.height + 1e-6 && Math.abs(widthChange) <= tolerances.width + 1e-6
+    };
+  });
+};
+
+/**
+ * Re-proportions caliper segments into a geometric progression of `target`
+ * while keeping their combined length. The progression runs in the
+ * direction the segments already grow.
+ */
+export const suggestSegments = (segments, target) => {
+  if (segments.length < 2 || !(target >= 1) || segments.some(s => !(s.length > 0))) return [];
+  const total = segments.reduce((sum, s) => sum + s.length, 0);
+  const growing = segments[segments.length - 1].length >= segments[0].length;
+  const weights = segments.map((_, i) => target ** (growing ? i : -i));
+  const unit = total / weights.reduce((sum, w) => sum + w, 0);
+  return segments.map((segment, i) => {
+    const suggested = unit * weights[i];
+    return { ...segment, suggested, change: percentChange(suggested, segment.length) };
+  });
+};
+
+/** Ghost outline for `next` dimensions, scaled from `current` onto `box` and standing on its base. */
+export const ghostBox = (box, current, next) => {
+  const width = box.width * (next.width / current.width);
+  const height = box.height * (next.height / current.height);
+  return {
+    x: box.x + (box.width - width) / 2,
+    y: box.y + box.height - height,
+    width,
+    height
+  };
+};
@@ -0,0 +1,32 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Offline shell. CRA's build injects the hashed bundle list into
+ * `self.__WB_MANIFEST`; everything there (including the compiled Tailwind
+ * CSS and the lazily loaded PDF chunk) is precached so a scan, overlay and
+ * export work without a network. Critique requests are never cached.
+ */
+import { clientsClaim } from 'workbox-core';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { NavigationRoute, registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations get the app shell, except the audit proxy.
+registerRoute(new NavigationRoute(
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`),
+  { denylist: [/^\/api\//] }
+));
+
+// Files copied from public/ (icons, manifest) are outside the bundle list.
+registerRoute(
+  ({ request, url }) => url.origin === self.location.origin && request.method === 'GET'
+    && /\.(png|json)$/.test(url.pathname) && !url.pathname.startsWith('/api/'),
+  new StaleWhileRevalidate({ cacheName: 'public-assets' })
+);
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
@@ -0,0 +1,12 @@
+/**
+ * Registers the offline service worker in production builds. Development
+ * servers rebuild constantly, so caching there would only serve stale code.
+ */
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(e => console.error('Service worker registration failed', e));
+  });
+};
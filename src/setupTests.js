@@ -0,0 +1,59 @@
+import '@testing-library/jest-dom';
+
+/**
+ * jsdom has no image decoding, 2D canvas, Path2D or object URLs. These stand-ins
+ * let the image pipeline run: every decoded image has `Image.size`, files
+ * whose contents are listed in `Image.undecodable` fail to decode, and
+ * canvases draw nothing and read back transparent pixels.
+ */
+
+class DecodedImage {
+  static size = { width: 800, height: 1294 };
+
+  static undecodable = [];
+
+  set src(value) {
+    this.currentSrc = value;
+    if (DecodedImage.undecodable.some(content => value.endsWith(btoa(content)))) {
+      setTimeout(() => this.onerror?.());
+      return;
+    }
+    const { width, height } = DecodedImage.size;
+    this.width = this.naturalWidth = width;
+    this.height = this.naturalHeight = height;
+    setTimeout(() => this.onload?.());
+  }
+
+  get src() {
+    return this.currentSrc;
+  }
+}
+
+// Drawing calls not listed here are accepted and do nothing.
+const context2d = (canvas) => new Proxy({
+  canvas,
+  getImageData: (x, y, width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+  createImageData: (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+  measureText: text => ({ width: text.length * 8 })
+}, {
+  get: (target, key) => (key in target ? target[key] : () => {})
+});
+
+// Paths are only handed to the stub context, which ignores them.
+class Path2D {}
+
+beforeEach(() => {
+  window.Path2D = Path2D;
+  DecodedImage.size = { width: 800, height: 1294 };
+  DecodedImage.undecodable = [];
+  window.Image = DecodedImage;
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function () { return context2d(this); });
+  jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockImplementation(type => `data:${type || 'image/png'};base64,AAAA`);
+  jest.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation(callback => callback(new Blob(['png'], { type: 'image/png' })));
+  URL.createObjectURL = jest.fn(() => 'blob:mock');
+  URL.revokeObjectURL = jest.fn();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});